@@ -10,6 +10,8 @@ const AppState = {
   refreshRate: 5000,
   autoRefresh: true,
   demoMode: true,
+  // Demo simulator settings: a key of DEMO_SCENARIOS, its seed and a speed from DEMO_SPEEDS
+  demo: { scenario: 'steady', seed: 1, speed: 1 },
   theme: 'auto',
   currentSection: 'dashboard',
   charts: {},
@@ -17,571 +19,5380 @@ const AppState = {
   lastUpdate: null,
   serverStatus: 'offline',
   
-  // In-memory data storage (no localStorage due to sandbox restrictions)
+  // Server profiles; the active one supplies apiEndpoint, refreshRate, auth and metricsSource
+  profiles: [],
+  activeProfileId: null,
+  auth: { type: 'none', token: '', headerName: 'X-API-Key' },
+  // 'api' reads /api/metrics, 'prometheus' reads the /metrics exposition Grafana scrapes
+  metricsSource: 'api',
+  
+  // Saved Dashboard section layouts, each an ordered list of { id, size } widget placements
+  dashboardLayouts: [],
+  activeLayoutId: null,
+  
+  // Fetched data is kept in memory only; settings persist through SettingsStore
   metricsData: null,
   connectionsData: [],
   toolsData: [],
   logsData: [],
+  fleetData: [],
+  healthData: [],
+  tracesData: [],
+
+  // Connection shown in the detail drawer (id null = drawer closed)
+  connectionDetail: { id: null, connection: null, timeline: [], error: null },
+
+  // Trace shown in the waterfall (id null = none selected)
+  traceDetail: { id: null, trace: null, spans: [], error: null },
+
+  // Cursor state for incremental log fetching (null cursor = next fetch is a fresh page)
+  logQuery: { cursor: null, oldestId: null, hasOlder: false },
+
+  // Detected payload version and outstanding mismatch messages per payload kind
+  schemaVersions: {},
+  schemaIssues: {},
+
+  // Per resource kind: { status: 'idle' | 'ok' | 'stale' | 'error', lastGood, error }
+  dataStatus: {},
+
+  // Visible span of the history charts, a key of HISTORY_WINDOWS
+  historyWindow: '5m',
+
+  // Alerting: rule definitions, per-rule evaluation state and alert history
+  alertRules: [],
+  alertStates: {},
+  alerts: [],
+  browserNotifications: false,
+
+  // Live push transport over /ws/{client_id}?role=dashboard
+  live: {
+    socket: null,
+    status: 'idle',
+    clientId: `dashboard-${Math.random().toString(36).slice(2, 10)}`,
+    retryAttempt: 0,
+    reconnectTimer: null,
+  },
 };
 
 // ============================================================================
 // Mock Data (Used when API is unavailable or demo mode is enabled)
 // ============================================================================
 
+// Demo mode's stand-in server. The tool catalogue is fixed; everything else
+// is written by the demo simulator below as simulated time passes.
 const MockData = {
-  metrics: {
-    server_status: 'online',
-    uptime_hours: 24,
-    total_connections: 156,
-    active_connections: 3,
-    total_requests: 2843,
-    successful_requests: 2756,
-    failed_requests: 87,
-    average_response_time: 245,
-    tools_available: 12,
-    redis_status: 'connected',
-    redis_latency: 2,
-  },
-  
-  connections: [
-    {
-      id: 'conn_001',
-      connected_at: '2025-11-01T10:15:32Z',
-      duration_seconds: 3600,
-      status: 'connected',
-      tools_used: ['tavily-search', 'web-scrape'],
-    },
-    {
-      id: 'conn_002',
-      connected_at: '2025-11-01T10:30:15Z',
-      duration_seconds: 1800,
-      status: 'disconnected',
-      tools_used: ['tavily-search'],
-    },
-    {
-      id: 'conn_003',
-      connected_at: '2025-11-01T10:45:22Z',
-      duration_seconds: 900,
-      status: 'connected',
-      tools_used: ['web-scrape'],
-    },
-  ],
-  
+  metrics: {},
+  connections: [],
+
   tools: [
     {
       name: 'tavily-search',
       description: 'Web search using Tavily API',
-      call_count: 1203,
-      success_rate: 99.2,
-      avg_response_time: 215,
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to search for' },
+          max_results: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+          search_depth: { type: 'string', enum: ['basic', 'advanced'], default: 'basic' },
+          include_answer: { type: 'boolean', default: false },
+        },
+        required: ['query'],
+      },
     },
     {
       name: 'web-scrape',
       description: 'Extract content from web pages',
-      call_count: 542,
-      success_rate: 97.8,
-      avg_response_time: 312,
-    },
-  ],
-  
-  logs: [
-    {
-      timestamp: '2025-11-01T10:45:22Z',
-      level: 'INFO',
-      message: 'New connection established: conn_003',
-    },
-    {
-      timestamp: '2025-11-01T10:44:15Z',
-      level: 'INFO',
-      message: 'Tool execution: tavily-search (215ms)',
-    },
-    {
-      timestamp: '2025-11-01T10:43:01Z',
-      level: 'WARNING',
-      message: 'High response time detected: 1200ms',
-    },
-    {
-      timestamp: '2025-11-01T10:42:33Z',
-      level: 'INFO',
-      message: 'Redis ping successful (2ms)',
+      input_schema: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Page to fetch' },
+          selectors: { type: 'array', items: { type: 'string' }, description: 'CSS selectors to extract (JSON array)' },
+        },
+        required: ['url'],
+      },
     },
   ],
+
+  // Structured records in the shape /api/logs returns them, oldest first
+  logs: [],
+
+  // Shape of /health/ready
+  health: { status: 'ok', ready: true, components: [] },
+
+  // Shape of /api/traces/{trace_id}, newest first; the list view reads each `trace` summary
+  traces: [],
 };
 
 // ============================================================================
-// API Functions
+// Demo Simulator
 // ============================================================================
 
-async function fetchMetrics() {
-  if (AppState.demoMode) {
-    return MockData.metrics;
-  }
-  
-  try {
-    const response = await fetch(`${AppState.apiEndpoint}/api/metrics`);
-    if (!response.ok) throw new Error('API request failed');
-    return await response.json();
-  } catch (error) {
-    console.warn('API call failed, using mock data:', error);
-    return MockData.metrics;
-  }
+// Simulated seconds a scenario runs before it starts over
+const DEMO_SCENARIO_PERIOD = 300;
+// History simulated (under steady conditions) on every restart so views start populated
+const DEMO_WARMUP_SECONDS = 180;
+// Simulated seconds per real second; 0 pauses
+const DEMO_SPEEDS = [0, 0.5, 1, 2, 5, 10, 60];
+const DEMO_LOG_LIMIT = 2000;
+const DEMO_TRACE_LIMIT = 50;
+const DEMO_CLOSED_CONNECTIONS_KEPT = 15;
+const DEMO_TIMELINE_LIMIT = 60;
+// Recent calls the response time average and percentiles are taken over
+const DEMO_LATENCY_WINDOW = 200;
+const DEMO_UPSTREAM_TIMEOUT_MS = 2000;
+
+// Base latency in ms and share of calls per mock tool
+const DEMO_TOOL_PROFILES = {
+  'tavily-search': { latency: 215, weight: 0.7 },
+  'web-scrape': { latency: 312, weight: 0.3 },
+};
+
+const DEMO_CLIENTS = [
+  { name: 'claude-desktop', version: '0.9.3', capabilities: { roots: { listChanged: true }, sampling: {}, elicitation: {} } },
+  { name: 'mcp-inspector', version: '0.14.0', capabilities: {} },
+  { name: 'cursor', version: '1.2.4', capabilities: { roots: { listChanged: false } } },
+];
+
+// 0 before `from`, 1 after `to`, linear in between
+function rampBetween(t, from, to) {
+  return Math.min(1, Math.max(0, (t - from) / (to - from)));
 }
 
-async function fetchConnections() {
-  if (AppState.demoMode) {
-    return MockData.connections;
-  }
-  
-  try {
-    const response = await fetch(`${AppState.apiEndpoint}/api/connections`);
-    if (!response.ok) throw new Error('API request failed');
-    return await response.json();
-  } catch (error) {
-    console.warn('API call failed, using mock data:', error);
-    return MockData.connections;
-  }
+/**
+ * Selectable demo scenarios. `conditions(t)` describes the world `t`
+ * simulated seconds into the cycle: `load` scales the number of clients and
+ * their call rate, `latency` and `upstream` (the Tavily API) scale tool
+ * latency, `errorRate` is the share of calls that fail on their own, and
+ * `redisUp` / `redisLatency` drive the state backend.
+ */
+const DEMO_SCENARIOS = {
+  steady: {
+    label: 'Steady',
+    conditions: () => ({ load: 1, latency: 1, upstream: 1, errorRate: 0.01, redisUp: true, redisLatency: 2 }),
+  },
+  spike: {
+    label: 'Traffic spike',
+    conditions: (t) => {
+      const surge = rampBetween(t, 60, 80) - rampBetween(t, 130, 160);
+      return { load: 1 + 5 * surge, latency: 1 + 0.8 * surge, upstream: 1, errorRate: 0.01 + 0.05 * surge, redisUp: true, redisLatency: 2 + 6 * surge };
+    },
+  },
+  redis_outage: {
+    label: 'Redis outage',
+    conditions: (t) => ({
+      load: 1,
+      latency: 1,
+      upstream: 1,
+      errorRate: 0.01,
+      redisUp: t < 90 || t >= 180,
+      // Pings slow down in the half minute before the connection drops
+      redisLatency: t >= 60 && t < 90 ? 40 : 2,
+    }),
+  },
+  slow_upstream: {
+    label: 'Slow upstream',
+    conditions: (t) => ({
+      load: 1,
+      latency: 1,
+      upstream: t < 270 ? 1 + 11 * rampBetween(t, 30, 210) : 1,
+      errorRate: 0.01,
+      redisUp: true,
+      redisLatency: 2,
+    }),
+  },
+};
+
+/**
+ * World state behind MockData. Every random choice comes from `random`,
+ * seeded from the demo settings, and time only moves in whole simulated
+ * seconds, so the same scenario and seed replay the same events.
+ */
+const DemoSimulator = {
+  timer: null,
+  random: Math.random,
+  // Simulated seconds since the scenario started; negative during warm-up
+  time: 0,
+  // Wall-clock ms that simulated second 0 maps to
+  clockStart: 0,
+  // Fractional steps owed at speeds below 1
+  carry: 0,
+  connections: [],
+  timelines: new Map(),
+  toolStats: {},
+  latencies: [],
+  counters: { connections: 0, requests: 0, successes: 0, failures: 0, websocketErrors: 0 },
+  nextConnection: 1,
+  nextLogId: 1,
+  redisUp: true,
+  redisLatency: 2,
+  blipUntil: 0,
+  blipLatency: 0,
+  conditions: DEMO_SCENARIOS.steady.conditions(0),
+};
+
+// mulberry32: small, fast and good enough to make demos repeatable
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
-async function fetchTools() {
-  if (AppState.demoMode) {
-    return MockData.tools;
-  }
-  
-  try {
-    const response = await fetch(`${AppState.apiEndpoint}/api/tools`);
-    if (!response.ok) throw new Error('API request failed');
-    return await response.json();
-  } catch (error) {
-    console.warn('API call failed, using mock data:', error);
-    return MockData.tools;
-  }
+function demoPick(items) {
+  return items[Math.floor(DemoSimulator.random() * items.length)];
 }
 
-async function fetchLogs() {
-  if (AppState.demoMode) {
-    return MockData.logs;
+function demoHex(length) {
+  let text = '';
+  while (text.length < length) text += Math.floor(DemoSimulator.random() * 16).toString(16);
+  return text;
+}
+
+function demoEpochSeconds() {
+  return DemoSimulator.clockStart / 1000 + DemoSimulator.time;
+}
+
+function demoTimestamp() {
+  return new Date(demoEpochSeconds() * 1000).toISOString();
+}
+
+function resetDemoSimulator() {
+  const sim = DemoSimulator;
+  const { seed } = AppState.demo;
+  Object.assign(sim, {
+    random: createSeededRandom(seed),
+    time: -DEMO_WARMUP_SECONDS,
+    clockStart: Date.now(),
+    carry: 0,
+    connections: [],
+    timelines: new Map(),
+    latencies: [],
+    nextConnection: 1,
+    nextLogId: 1,
+    redisUp: true,
+    redisLatency: 2,
+    blipUntil: 0,
+    blipLatency: 0,
+  });
+  MockData.logs.splice(0);
+  MockData.traces.splice(0);
+
+  // A server that has been up for a day before the demo starts
+  const requests = 2000 + Math.floor(sim.random() * 1000);
+  const failures = Math.floor(requests * 0.02);
+  sim.counters = { connections: 150 + Math.floor(sim.random() * 20), requests, successes: requests - failures, failures, websocketErrors: 3 };
+  sim.toolStats = {};
+  MockData.tools.forEach(tool => {
+    const profile = DEMO_TOOL_PROFILES[tool.name];
+    const calls = Math.round(requests * profile.weight);
+    sim.toolStats[tool.name] = { calls, successes: calls - Math.floor(calls * 0.02), totalMs: calls * profile.latency, lastError: null };
+  });
+
+  addDemoLog('INFO', `Demo scenario "${DEMO_SCENARIOS[AppState.demo.scenario].label}" started with seed ${seed}`, { logger: 'demo' });
+  for (let i = 0; i < 3; i++) openDemoConnection();
+  while (sim.time < 0) stepDemoWorld();
+  publishDemoWorld();
+}
+
+function startDemoSimulator() {
+  if (DemoSimulator.timer) return;
+  DemoSimulator.timer = setInterval(tickDemoSimulator, 1000);
+}
+
+function stopDemoSimulator() {
+  clearInterval(DemoSimulator.timer);
+  DemoSimulator.timer = null;
+}
+
+// Starts the scenario over, e.g. after the scenario or seed changed
+function restartDemoSimulator() {
+  resetDemoSimulator();
+  renderDemoStatus();
+  if (!AppState.demoMode) return;
+  resetServerData();
+  refreshCurrentSection();
+}
+
+function tickDemoSimulator() {
+  const sim = DemoSimulator;
+  sim.carry += AppState.demo.speed;
+  const steps = Math.floor(sim.carry);
+  if (steps === 0) return;
+  sim.carry -= steps;
+  for (let i = 0; i < steps; i++) stepDemoWorld();
+  publishDemoWorld();
+  renderDemoStatus();
+}
+
+// Advances the world by one simulated second
+function stepDemoWorld() {
+  const sim = DemoSimulator;
+  sim.conditions = sim.time < 0
+    ? DEMO_SCENARIOS.steady.conditions(0)
+    : DEMO_SCENARIOS[AppState.demo.scenario].conditions(sim.time % DEMO_SCENARIO_PERIOD);
+
+  updateDemoRedis(sim.conditions);
+  churnDemoConnections(sim.conditions);
+  sim.connections
+    .filter(conn => conn.status === 'connected')
+    .forEach(conn => {
+      conn.duration_seconds += 1;
+      if (sim.random() < 0.08 * sim.conditions.load) runDemoToolCall(conn, sim.conditions);
+    });
+  sim.time += 1;
+}
+
+function updateDemoRedis(conditions) {
+  const sim = DemoSimulator;
+  if (conditions.redisUp !== sim.redisUp) {
+    sim.redisUp = conditions.redisUp;
+    if (sim.redisUp) {
+      addDemoLog('INFO', 'State backend reconnected to redis:6379', { logger: 'state' });
+    } else {
+      addDemoLog('ERROR', 'State backend unreachable: Error 111 connecting to redis:6379. Connection refused.', { logger: 'state' });
+    }
   }
-  
-  try {
-    const response = await fetch(`${AppState.apiEndpoint}/api/logs`);
-    if (!response.ok) throw new Error('API request failed');
-    return await response.json();
-  } catch (error) {
-    console.warn('API call failed, using mock data:', error);
-    return MockData.logs;
+
+  // Occasional short latency blips, even in a healthy scenario
+  if (sim.redisUp && sim.time >= sim.blipUntil && sim.random() < 0.004) {
+    sim.blipUntil = sim.time + 3 + Math.floor(sim.random() * 6);
+    sim.blipLatency = 25 + sim.random() * 40;
+    addDemoLog('WARNING', `Redis ping slow (${Math.round(sim.blipLatency)}ms)`, { logger: 'state' });
+  }
+  const base = sim.time < sim.blipUntil ? Math.max(conditions.redisLatency, sim.blipLatency) : conditions.redisLatency;
+  sim.redisLatency = sim.redisUp ? base * (0.8 + sim.random() * 0.4) : null;
+  if (sim.redisUp && conditions.redisLatency > 20 && sim.time % 15 === 0) {
+    addDemoLog('WARNING', `Redis ping slow (${Math.round(sim.redisLatency)}ms)`, { logger: 'state' });
   }
 }
 
-async function checkHealth() {
-  try {
-    const startTime = Date.now();
-    const response = await fetch(`${AppState.apiEndpoint}/health`);
-    const responseTime = Date.now() - startTime;
-    
-    if (response.ok) {
-      const data = await response.json();
-      return { success: true, responseTime, data };
+// Clients come and go towards a target count that follows the load
+function churnDemoConnections(conditions) {
+  const sim = DemoSimulator;
+  const open = sim.connections.filter(conn => conn.status === 'connected');
+  const target = Math.round(3 * conditions.load);
+  if (sim.random() < (open.length < target ? 0.15 : 0.01)) openDemoConnection();
+
+  open.forEach(conn => {
+    if (!sim.redisUp && sim.random() < 0.01) {
+      closeDemoConnection(conn, 'Connection reset while the state backend was unreachable', true);
+    } else if (sim.random() < (open.length > target ? 0.02 : 0.002)) {
+      closeDemoConnection(conn, 'Client disconnected');
     }
-    return { success: false, error: 'Health check failed' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+  });
 }
 
-// ============================================================================
-// UI Update Functions
-// ============================================================================
+function recordDemoEvent(conn, kind, summary, details = {}) {
+  const timeline = DemoSimulator.timelines.get(conn.id);
+  timeline.push({ id: timeline.length ? timeline[timeline.length - 1].id + 1 : 1, timestamp: demoTimestamp(), kind, summary, ...details });
+  if (timeline.length > DEMO_TIMELINE_LIMIT) timeline.shift();
+}
 
-function updateServerStatus(status) {
-  AppState.serverStatus = status;
-  const statusDot = document.getElementById('statusDot');
-  const statusText = document.getElementById('statusText');
-  
-  if (status === 'online') {
-    statusDot.classList.add('online');
-    statusDot.classList.remove('offline');
-    statusText.textContent = 'Connected';
-  } else {
-    statusDot.classList.remove('online');
-    statusDot.classList.add('offline');
-    statusText.textContent = 'Offline';
+function openDemoConnection() {
+  const sim = DemoSimulator;
+  const client = demoPick(DEMO_CLIENTS);
+  const conn = {
+    id: `conn_${String(sim.nextConnection++).padStart(3, '0')}`,
+    connected_at: demoTimestamp(),
+    disconnected_at: null,
+    duration_seconds: 0,
+    status: 'connected',
+    tools_used: [],
+    tool_counts: {},
+    remote_address: `10.0.${Math.floor(sim.random() * 8)}.${10 + Math.floor(sim.random() * 240)}:${49152 + Math.floor(sim.random() * 16000)}`,
+    user_agent: `${client.name}/${client.version}`,
+    transport: sim.random() < 0.75 ? 'websocket' : 'http',
+    protocol_version: demoPick(['2025-06-18', '2025-03-26']),
+    client_info: { name: client.name, version: client.version },
+    client_capabilities: client.capabilities,
+    messages_in: 2,
+    messages_out: 1,
+    bytes_in: 310,
+    bytes_out: 180,
+    error_count: 0,
+  };
+  sim.connections.push(conn);
+  sim.timelines.set(conn.id, []);
+  sim.counters.connections += 1;
+  recordDemoEvent(conn, 'connected', `Connected from ${conn.remote_address}`);
+  recordDemoEvent(conn, 'initialize', `MCP ${conn.protocol_version} with ${client.name} ${client.version}`);
+  addDemoLog('INFO', `Connection opened: ${conn.id}`, { logger: 'connections', client_id: conn.id });
+}
+
+function closeDemoConnection(conn, reason, failed = false) {
+  const sim = DemoSimulator;
+  conn.status = 'disconnected';
+  conn.disconnected_at = demoTimestamp();
+  if (failed) {
+    sim.counters.websocketErrors += 1;
+    conn.error_count += 1;
+    recordDemoEvent(conn, 'error', `WebSocket error: ${reason}`);
+    addDemoLog('ERROR', `WebSocket error for ${conn.id}: ${reason}`, { logger: 'websocket', client_id: conn.id });
+  }
+  recordDemoEvent(conn, 'disconnected', reason);
+  addDemoLog('INFO', `Connection closed: ${conn.id}`, { logger: 'connections', client_id: conn.id });
+
+  const closed = sim.connections.filter(item => item.status === 'disconnected');
+  if (closed.length > DEMO_CLOSED_CONNECTIONS_KEPT) {
+    sim.connections.splice(sim.connections.indexOf(closed[0]), 1);
+    sim.timelines.delete(closed[0].id);
   }
 }
 
-function updateLastUpdate() {
-  const now = new Date();
-  AppState.lastUpdate = now;
-  const timeString = now.toLocaleTimeString();
-  document.getElementById('lastUpdate').textContent = `Updated: ${timeString}`;
+// Demo effect of the admin Disconnect action
+function disconnectDemoConnection(id) {
+  const conn = DemoSimulator.connections.find(item => item.id === id && item.status === 'connected');
+  if (conn) closeDemoConnection(conn, 'Disconnected by an operator');
+  publishDemoWorld();
 }
 
-function updateDashboardMetrics(metrics) {
-  document.getElementById('metricServerStatus').textContent = 
-    metrics.server_status === 'online' ? 'Online' : 'Offline';
-  
-  const hours = Math.floor(metrics.uptime_hours);
-  const minutes = Math.floor((metrics.uptime_hours - hours) * 60);
-  document.getElementById('metricUptime').textContent = 
-    `Uptime: ${hours}h ${minutes}m`;
-  
-  document.getElementById('metricTotalConnections').textContent = 
-    metrics.total_connections.toLocaleString();
-  document.getElementById('metricActiveConnections').textContent = 
-    metrics.active_connections;
-  
-  document.getElementById('metricTotalRequests').textContent = 
-    metrics.total_requests.toLocaleString();
-  document.getElementById('metricSuccessRequests').textContent = 
-    metrics.successful_requests.toLocaleString();
-  document.getElementById('metricFailedRequests').textContent = 
-    metrics.failed_requests.toLocaleString();
-  
-  document.getElementById('metricAvgResponse').textContent = 
-    `${metrics.average_response_time}ms`;
-  
-  document.getElementById('metricToolsAvailable').textContent = 
-    metrics.tools_available;
-  
-  document.getElementById('metricRedisStatus').textContent = 
-    metrics.redis_status === 'connected' ? 'Connected' : 'Disconnected';
-  document.getElementById('metricRedisLatency').textContent = 
-    `${metrics.redis_latency}ms`;
-  
-  updateServerStatus(metrics.server_status);
+// Demo effect of the admin Reset counters action
+function resetDemoCounters() {
+  const sim = DemoSimulator;
+  sim.counters = { ...sim.counters, requests: 0, successes: 0, failures: 0 };
+  sim.latencies = [];
+  Object.keys(sim.toolStats).forEach(name => {
+    sim.toolStats[name] = { calls: 0, successes: 0, totalMs: 0, lastError: null };
+  });
+  publishDemoWorld();
 }
 
-function updateHealthStatus(metrics) {
-  const serverStatus = document.getElementById('healthServerStatus');
-  serverStatus.textContent = metrics.server_status === 'online' ? 'Online' : 'Offline';
-  serverStatus.className = `status ${metrics.server_status}`;
-  
-  const hours = Math.floor(metrics.uptime_hours);
-  const minutes = Math.floor((metrics.uptime_hours - hours) * 60);
-  document.getElementById('healthUptime').textContent = `${hours}h ${minutes}m`;
-  document.getElementById('healthLastChecked').textContent = 
-    new Date().toLocaleTimeString();
-  
-  const redisStatus = document.getElementById('healthRedisStatus');
-  redisStatus.textContent = metrics.redis_status === 'connected' ? 'Connected' : 'Disconnected';
-  redisStatus.className = `status ${metrics.redis_status}`;
-  
-  document.getElementById('healthRedisLatency').textContent = 
-    `${metrics.redis_latency}ms`;
-  document.getElementById('healthRedisConnection').textContent = 
-    metrics.redis_status === 'connected' ? 'Active' : 'Inactive';
-  
-  const apiStatus = document.getElementById('healthApiStatus');
-  apiStatus.textContent = metrics.server_status === 'online' ? 'Online' : 'Offline';
-  apiStatus.className = `status ${metrics.server_status}`;
-  
-  document.getElementById('healthApiResponseTime').textContent = 
-    `${metrics.average_response_time}ms`;
-  document.getElementById('healthApiEndpoint').textContent = AppState.apiEndpoint;
+function pickDemoTool() {
+  let roll = DemoSimulator.random();
+  const names = Object.keys(DEMO_TOOL_PROFILES);
+  return names.find(name => (roll -= DEMO_TOOL_PROFILES[name].weight) < 0) || names[0];
 }
 
-function updateConnectionsTable(connections) {
-  const tbody = document.getElementById('connectionsTableBody');
-  const filter = document.getElementById('connectionFilter').value;
-  
-  let filteredConnections = connections;
-  if (filter !== 'all') {
-    filteredConnections = connections.filter(conn => conn.status === filter);
+// One tools/call from a client: counters, tool stats, timeline, log lines and a trace
+function runDemoToolCall(conn, conditions) {
+  const sim = DemoSimulator;
+  const tool = pickDemoTool();
+  const tail = sim.random() < 0.05 ? 3 : 1;
+  let latency = DEMO_TOOL_PROFILES[tool].latency * conditions.latency * conditions.upstream * (0.6 + sim.random() * 0.8) * tail;
+  let error = null;
+  if (!sim.redisUp && sim.random() < 0.4) {
+    error = 'State backend unavailable';
+  } else if (latency > DEMO_UPSTREAM_TIMEOUT_MS) {
+    latency = DEMO_UPSTREAM_TIMEOUT_MS;
+    error = `Upstream timed out after ${DEMO_UPSTREAM_TIMEOUT_MS}ms`;
+  } else if (sim.random() < conditions.errorRate) {
+    error = demoPick(['Upstream returned 502 Bad Gateway', 'Rate limited by the Tavily API', 'Page returned 404 Not Found']);
   }
-  
-  if (filteredConnections.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="5" class="text-center">No connections found</td></tr>';
-    return;
+
+  const stats = sim.toolStats[tool];
+  stats.calls += 1;
+  stats.totalMs += latency;
+  sim.counters.requests += 1;
+  if (error) {
+    stats.lastError = error;
+    sim.counters.failures += 1;
+  } else {
+    stats.successes += 1;
+    sim.counters.successes += 1;
   }
-  
-  tbody.innerHTML = filteredConnections.map(conn => {
-    const connectedDate = new Date(conn.connected_at);
-    const duration = formatDuration(conn.duration_seconds);
-    const statusClass = conn.status === 'connected' ? 'status connected' : 'status disconnected';
-    
-    return `
-      <tr>
-        <td>${conn.id}</td>
-        <td>${connectedDate.toLocaleString()}</td>
-        <td>${duration}</td>
-        <td><span class="${statusClass}">${conn.status}</span></td>
-        <td>${conn.tools_used.join(', ')}</td>
-      </tr>
-    `;
-  }).join('');
-}
+  sim.latencies.push(latency);
+  if (sim.latencies.length > DEMO_LATENCY_WINDOW) sim.latencies.shift();
 
-function updateToolsGrid(tools) {
-  const grid = document.getElementById('toolsGrid');
-  const sortBy = document.getElementById('toolsSortBy').value;
-  
-  let sortedTools = [...tools];
-  switch (sortBy) {
-    case 'calls':
-      sortedTools.sort((a, b) => b.call_count - a.call_count);
-      break;
-    case 'name':
-      sortedTools.sort((a, b) => a.name.localeCompare(b.name));
-      break;
-    case 'success':
-      sortedTools.sort((a, b) => b.success_rate - a.success_rate);
-      break;
+  const chunks = error ? 0 : 1 + Math.floor(sim.random() * 4);
+  conn.tool_counts[tool] = (conn.tool_counts[tool] || 0) + 1;
+  conn.tools_used = Object.keys(conn.tool_counts).sort();
+  conn.messages_in += 1;
+  conn.messages_out += 1 + chunks;
+  conn.bytes_in += 140;
+  conn.bytes_out += 120 + chunks * 900;
+
+  const callId = `call_${demoHex(8)}`;
+  const traceId = demoHex(32);
+  const spanIds = [demoHex(16), demoHex(16), demoHex(16)];
+  const logContext = { client_id: conn.id, tool, request_id: callId, trace_id: traceId };
+  recordDemoEvent(conn, 'message_in', `{"jsonrpc": "2.0", "method": "tools/call", "params": {"name": "${tool}"}}`, { bytes: 140, trace_id: traceId });
+  addDemoLog('INFO', `Tool call ${tool} from ${conn.id}`, { logger: 'tools', ...logContext, span_id: spanIds[1] });
+  if (error) {
+    conn.error_count += 1;
+    recordDemoEvent(conn, 'error', `${tool} failed: ${error}`, { tool, call_id: callId, duration_ms: latency, trace_id: traceId });
+    addDemoLog('ERROR', `Tool ${tool} failed for ${conn.id}: ${error}`, { logger: 'tools', ...logContext, span_id: spanIds[1] });
+  } else {
+    recordDemoEvent(conn, 'tool_call', `${tool} completed`, { tool, call_id: callId, duration_ms: latency, trace_id: traceId });
+    if (latency > 1000) {
+      addDemoLog('WARNING', `High response time detected: ${Math.round(latency)}ms`, { logger: 'tools', ...logContext, span_id: spanIds[1] });
+    }
   }
-  
-  grid.innerHTML = sortedTools.map(tool => `
-    <div class="tool-card">
-      <div class="tool-header">
-        <div class="tool-name">${tool.name}</div>
-      </div>
-      <div class="tool-description">${tool.description}</div>
-      <div class="tool-stats">
-        <div class="tool-stat">
-          <span class="tool-stat-value">${tool.call_count.toLocaleString()}</span>
-          <span class="tool-stat-label">Calls</span>
-        </div>
-        <div class="tool-stat">
-          <span class="tool-stat-value">${tool.success_rate}%</span>
-          <span class="tool-stat-label">Success</span>
-        </div>
-        <div class="tool-stat">
-          <span class="tool-stat-value">${tool.avg_response_time}ms</span>
-          <span class="tool-stat-label">Avg Time</span>
-        </div>
-      </div>
-    </div>
-  `).join('');
+
+  const status = error ? 'error' : 'ok';
+  MockData.traces.unshift({
+    trace: {
+      trace_id: traceId,
+      name: `${conn.transport === 'http' ? 'http' : 'ws'} tools/call`,
+      client_id: conn.id,
+      started_at: demoTimestamp(),
+      duration_ms: latency + 1.5,
+      span_count: 3,
+      status,
+    },
+    spans: [
+      { span_id: spanIds[0], parent_id: null, name: `${conn.transport === 'http' ? 'http' : 'ws'} tools/call`, offset_ms: 0, duration_ms: latency + 1.5, status: 'ok', error: null, attributes: {} },
+      { span_id: spanIds[1], parent_id: spanIds[0], name: `tool ${tool}`, offset_ms: 0.4, duration_ms: latency + 0.6, status, error, attributes: { tool, call_id: callId, ...(chunks && { first_chunk_ms: latency * 0.6 }) } },
+      { span_id: spanIds[2], parent_id: spanIds[1], name: 'handler', offset_ms: 0.7, duration_ms: latency, status, error, attributes: { chunks } },
+    ],
+  });
+  if (MockData.traces.length > DEMO_TRACE_LIMIT) MockData.traces.pop();
 }
 
-function updateLogsContainer(logs) {
-  const container = document.getElementById('logsContainer');
-  const searchTerm = document.getElementById('logSearch').value.toLowerCase();
-  const levelFilter = document.getElementById('logLevelFilter').value;
-  const autoScroll = document.getElementById('autoScrollLogs').checked;
-  
-  let filteredLogs = logs;
-  
-  if (levelFilter !== 'all') {
-    filteredLogs = filteredLogs.filter(log => log.level === levelFilter);
-  }
-  
-  if (searchTerm) {
-    filteredLogs = filteredLogs.filter(log => 
-      log.message.toLowerCase().includes(searchTerm)
-    );
-  }
-  
-  container.innerHTML = filteredLogs.map(log => {
-    const date = new Date(log.timestamp);
-    const timeString = date.toLocaleTimeString();
-    const levelClass = `log-${log.level.toLowerCase()}`;
-    
-    return `
-      <div class="log-entry ${levelClass}">
-        <span class="log-time">${timeString}</span>
-        <span class="log-level">${log.level}</span>
-        <span class="log-message">${log.message}</span>
-      </div>
-    `;
-  }).join('');
-  
-  if (autoScroll) {
-    container.scrollTop = container.scrollHeight;
+function addDemoLog(level, message, fields = {}) {
+  MockData.logs.push({
+    id: DemoSimulator.nextLogId++,
+    timestamp: demoEpochSeconds(),
+    level,
+    logger: 'server',
+    message,
+    client_id: null,
+    tool: null,
+    request_id: null,
+    trace_id: null,
+    span_id: null,
+    ...fields,
+  });
+  if (MockData.logs.length > DEMO_LOG_LIMIT) MockData.logs.shift();
+}
+
+// Writes the world into MockData in the shapes the server's endpoints return
+function publishDemoWorld() {
+  const sim = DemoSimulator;
+  const open = sim.connections.filter(conn => conn.status === 'connected');
+  const closed = sim.connections.filter(conn => conn.status === 'disconnected').reverse();
+  MockData.connections = [...open, ...closed];
+
+  const sorted = [...sim.latencies].sort((a, b) => a - b);
+  const quantile = q => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null);
+  const { counters } = sim;
+  MockData.metrics = {
+    server_status: 'online',
+    uptime_hours: 24 + (sim.time + DEMO_WARMUP_SECONDS) / 3600,
+    total_connections: counters.connections,
+    active_connections: open.length,
+    total_requests: counters.requests,
+    successful_requests: counters.successes,
+    failed_requests: counters.failures,
+    average_response_time: sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null,
+    p50_response_time: quantile(0.5),
+    p95_response_time: quantile(0.95),
+    tools_available: MockData.tools.length,
+    websocket_errors: counters.websocketErrors,
+    redis_status: sim.redisUp ? 'connected' : 'disconnected',
+    redis_latency: sim.redisLatency,
+    tool_usage: Object.fromEntries(Object.entries(sim.toolStats).map(([name, stats]) => [name, stats.calls])),
+  };
+
+  MockData.tools.forEach(tool => {
+    const stats = sim.toolStats[tool.name];
+    Object.assign(tool, {
+      call_count: stats.calls,
+      success_rate: stats.calls ? Math.round(stats.successes / stats.calls * 1000) / 10 : null,
+      avg_response_time: stats.calls ? Math.round(stats.totalMs / stats.calls) : null,
+      last_error: stats.lastError,
+    });
+  });
+
+  MockData.health = buildDemoHealth(sim.conditions, open.length);
+}
+
+function buildDemoHealth(conditions, openCount) {
+  const sim = DemoSimulator;
+  const upstreamMs = 140 * conditions.upstream;
+  const components = [
+    sim.redisUp
+      ? { name: 'state_backend', label: 'Redis', critical: true, status: sim.redisLatency > 20 ? 'degraded' : 'ok', latency_ms: sim.redisLatency, message: `Ping ${sim.redisLatency.toFixed(1)}ms` }
+      : { name: 'state_backend', label: 'Redis', critical: true, status: 'down', latency_ms: 2000, message: 'Error 111 connecting to redis:6379. Connection refused.' },
+    { name: 'tavily_upstream', label: 'Tavily API', critical: false, status: conditions.upstream > 8 ? 'down' : conditions.upstream > 3 ? 'degraded' : 'ok', latency_ms: upstreamMs, message: conditions.upstream > 8 ? 'Timing out' : `Reachable in ${Math.round(upstreamMs)}ms` },
+    { name: 'websocket_manager', label: 'WebSocket Manager', critical: true, status: 'ok', latency_ms: 0, message: `${openCount} client(s), 1 dashboard subscriber(s)` },
+    { name: 'disk', label: 'Disk', critical: false, status: 'ok', latency_ms: 1, message: '38% free (7820 MiB)' },
+    { name: 'memory', label: 'Memory', critical: false, status: 'ok', latency_ms: 1, message: `${64 - openCount}% available (${5120 - openCount * 80} MiB)` },
+  ];
+  const ready = !components.some(component => component.critical && component.status === 'down');
+  const degraded = components.some(component => component.status !== 'ok');
+  return { status: !ready ? 'down' : degraded ? 'degraded' : 'ok', ready, components };
+}
+
+// Demo stand-in for the cursor-paged /api/logs
+function demoLogPage(params) {
+  return buildLogPage(MockData.logs, params, DemoSimulator.nextLogId - 1);
+}
+
+/**
+ * Answers a /api/logs query from `records` (oldest first, server-shaped) the
+ * way the server's query_logs does, for the stand-ins that play the server:
+ * the demo simulator and session replay.
+ */
+function buildLogPage(records, params, latestId) {
+  const query = new URLSearchParams(params);
+  const limit = Number(query.get('limit')) || LOG_PAGE_SIZE;
+  const levels = query.get('level') ? query.get('level').split(',') : null;
+  const matching = records.filter(log => !levels || levels.includes(log.level));
+
+  if (query.has('since')) {
+    const since = Number(query.get('since'));
+    const newer = matching.filter(log => log.id > since);
+    const logs = newer.slice(0, limit);
+    const hasMore = newer.length > limit;
+    return {
+      logs,
+      cursor: hasMore ? logs[logs.length - 1].id : latestId,
+      has_more: hasMore,
+      truncated: records.length > 0 && since + 1 < records[0].id,
+    };
   }
+
+  const before = query.has('before') ? Number(query.get('before')) : Infinity;
+  const older = matching.filter(log => log.id < before);
+  return { logs: older.slice(-limit), cursor: latestId, has_more: older.length > limit, truncated: false };
+}
+
+function renderDemoStatus() {
+  const element = document.getElementById('demoStatus');
+  if (!element) return;
+  const { scenario, seed, speed } = AppState.demo;
+  const elapsed = Math.max(0, DemoSimulator.time);
+  const cycle = Math.floor(elapsed / DEMO_SCENARIO_PERIOD) + 1;
+  element.textContent = `${DEMO_SCENARIOS[scenario].label}, seed ${seed}: ` +
+    `${formatDuration(elapsed % DEMO_SCENARIO_PERIOD)} into cycle ${cycle}` +
+    (speed === 0 ? ' (paused)' : ` at ${speed}x`);
 }
 
 // ============================================================================
-// Chart Initialization and Updates
+// Schema Normalization
 // ============================================================================
 
-function initializeCharts() {
-  // Success Rate Donut Chart
-  const successCtx = document.getElementById('successRateChart').getContext('2d');
-  AppState.charts.successRate = new Chart(successCtx, {
-    type: 'doughnut',
-    data: {
-      labels: ['Successful', 'Failed'],
-      datasets: [{
-        data: [97, 3],
-        backgroundColor: ['#1FB8CD', '#FFC185'],
-        borderWidth: 0,
-      }]
+// Canonical model consumed by the update* renderers. Every field is either of
+// the listed type or null, where null means "not reported by this server" and
+// is rendered as a placeholder.
+const CanonicalSchema = {
+  metrics: {
+    server_status: 'string',
+    uptime_hours: 'number',
+    total_connections: 'number',
+    active_connections: 'number',
+    total_requests: 'number',
+    successful_requests: 'number',
+    failed_requests: 'number',
+    success_rate: 'number',
+    average_response_time: 'number',
+    p50_response_time: 'number',
+    p95_response_time: 'number',
+    tools_available: 'number',
+    websocket_errors: 'number',
+    redis_status: 'string',
+    redis_latency: 'number',
+    tool_usage: 'object',
+  },
+  connections: {
+    id: 'string',
+    connected_at: 'string',
+    disconnected_at: 'string',
+    duration_seconds: 'number',
+    status: 'string',
+    tools_used: 'array',
+    tool_counts: 'object',
+    remote_address: 'string',
+    user_agent: 'string',
+    transport: 'string',
+    protocol_version: 'string',
+    client_info: 'object',
+    client_capabilities: 'object',
+    messages_in: 'number',
+    messages_out: 'number',
+    bytes_in: 'number',
+    bytes_out: 'number',
+    error_count: 'number',
+  },
+  health: {
+    name: 'string',
+    label: 'string',
+    status: 'string',
+    critical: 'boolean',
+    latency_ms: 'number',
+    message: 'string',
+  },
+  audit: {
+    id: 'number',
+    timestamp: 'string',
+    actor: 'string',
+    remote_address: 'string',
+    action: 'string',
+    target: 'string',
+    outcome: 'string',
+    details: 'object',
+  },
+  timeline: {
+    id: 'number',
+    timestamp: 'string',
+    kind: 'string',
+    summary: 'string',
+    tool: 'string',
+    call_id: 'string',
+    bytes: 'number',
+    duration_ms: 'number',
+    trace_id: 'string',
+  },
+  traces: {
+    trace_id: 'string',
+    name: 'string',
+    client_id: 'string',
+    started_at: 'string',
+    duration_ms: 'number',
+    span_count: 'number',
+    status: 'string',
+  },
+  spans: {
+    span_id: 'string',
+    parent_id: 'string',
+    name: 'string',
+    offset_ms: 'number',
+    duration_ms: 'number',
+    status: 'string',
+    error: 'string',
+    attributes: 'object',
+  },
+  tools: {
+    name: 'string',
+    description: 'string',
+    call_count: 'number',
+    success_rate: 'number',
+    avg_response_time: 'number',
+    last_error: 'string',
+    input_schema: 'object',
+  },
+  logs: {
+    id: 'number',
+    timestamp: 'string',
+    level: 'string',
+    logger: 'string',
+    message: 'string',
+    client_id: 'string',
+    tool: 'string',
+    request_id: 'string',
+    trace_id: 'string',
+    span_id: 'string',
+  },
+};
+
+// Known wire formats per payload kind, newest first. `detect` claims a raw
+// payload and `normalize` maps it onto the canonical model. List kinds
+// normalize to an array of records.
+const SchemaAdapters = {
+  metrics: [
+    {
+      version: 'dashboard-v1',
+      detect: raw => 'server_status' in raw,
+      normalize: raw => ({ ...raw }),
     },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          position: 'bottom',
-          labels: {
-            color: getComputedStyle(document.documentElement)
-              .getPropertyValue('--color-text').trim(),
-            font: { size: 12 }
-          }
-        },
-        tooltip: {
-          callbacks: {
-            label: function(context) {
-              return `${context.label}: ${context.parsed}%`;
-            }
-          }
+    {
+      version: 'server-v1',
+      // Counters are omitted while the server's state backend is unreachable
+      detect: raw => 'uptime' in raw && ('total_requests' in raw || 'state_backend' in raw),
+      normalize: raw => ({
+        // The server answered, so it is online by definition
+        server_status: 'online',
+        uptime_hours: raw.uptime / 3600,
+        active_connections: raw.active_connections,
+        total_requests: raw.total_requests,
+        tools_available: raw.tools_available,
+        websocket_errors: raw.websocket_errors,
+        // Only reported when the server keeps its state in Redis
+        redis_status: raw.redis_status,
+        redis_latency: raw.redis_latency,
+        tool_usage: raw.tool_usage || {},
+      }),
+    },
+    {
+      // Parsed /metrics exposition (see parseOpenMetrics)
+      version: 'openmetrics-v1',
+      detect: raw => Array.isArray(raw.samples),
+      normalize: raw => normalizeOpenMetrics(raw.samples),
+    },
+  ],
+
+  connections: [
+    {
+      version: 'dashboard-v1',
+      detect: raw => Array.isArray(raw),
+      normalize: raw => raw.map(conn => ({ ...conn })),
+    },
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.connections),
+      normalize: raw => raw.connections.map(conn =>
+        typeof conn === 'string' ? { id: conn, status: 'connected', tools_used: [] } : { ...conn }
+      ),
+    },
+  ],
+
+  tools: [
+    {
+      version: 'dashboard-v1',
+      detect: raw => Array.isArray(raw),
+      normalize: raw => raw.map(tool => ({ ...tool })),
+    },
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.tools),
+      normalize: (raw, context) => raw.tools.map(tool => {
+        const record = typeof tool === 'string' ? { name: tool, description: '' } : { ...tool };
+        if (record.call_count == null && context.toolUsage && record.name in context.toolUsage) {
+          record.call_count = context.toolUsage[record.name];
         }
-      }
+        return record;
+      }),
+    },
+  ],
+
+  // Component checks from /health/ready
+  health: [
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.components),
+      normalize: raw => raw.components.map(component => ({ ...component })),
+    },
+  ],
+
+  // Admin action records from /api/admin/audit
+  audit: [
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.entries),
+      normalize: raw => raw.entries.map(entry => ({ ...entry })),
+    },
+  ],
+
+  // Per-connection events from /api/connections/{id}
+  timeline: [
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.timeline),
+      normalize: raw => raw.timeline.map(event => ({ ...event })),
+    },
+  ],
+
+  // Summaries from /api/traces
+  traces: [
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.traces),
+      normalize: raw => raw.traces.map(trace => ({ ...trace })),
+    },
+  ],
+
+  // Spans of one trace from /api/traces/{trace_id}
+  spans: [
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.spans),
+      normalize: raw => raw.spans.map(span => ({ ...span })),
+    },
+  ],
+
+  logs: [
+    {
+      version: 'dashboard-v1',
+      detect: raw => Array.isArray(raw),
+      normalize: raw => raw.map(log => ({ ...log })),
+    },
+    {
+      // Structured records with a cursor envelope (see isLogPage)
+      version: 'server-v2',
+      detect: raw => Array.isArray(raw.logs) && 'cursor' in raw,
+      normalize: raw => raw.logs.map(log => ({
+        ...log,
+        timestamp: new Date(log.timestamp * 1000).toISOString(),
+      })),
+    },
+    {
+      version: 'server-v1',
+      detect: raw => Array.isArray(raw.logs),
+      normalize: raw => raw.logs.map(log => ({
+        ...log,
+        timestamp: typeof log.timestamp === 'number'
+          ? new Date(log.timestamp * 1000).toISOString()
+          : log.timestamp,
+        level: log.level || inferLogLevel(log.message),
+      })),
+    },
+  ],
+};
+
+/**
+ * Parses the OpenMetrics/Prometheus text format into flat samples of
+ * { name, labels, value }. Comment lines (# TYPE, # HELP, # EOF) are skipped.
+ */
+function parseOpenMetrics(text) {
+  const samples = [];
+  String(text).split('\n').forEach(line => {
+    if (line.startsWith('#')) return;
+    const match = line.match(/^([a-zA-Z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)/);
+    if (!match) return;
+    const labels = {};
+    for (const [, key, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+      labels[key] = value.replace(/\\(.)/g, (escape, char) => (char === 'n' ? '\n' : char));
+    }
+    samples.push({ name: match[1], labels, value: parseSampleValue(match[3]) });
+  });
+  return { samples };
+}
+
+function parseSampleValue(text) {
+  if (text === '+Inf') return Infinity;
+  if (text === '-Inf') return -Infinity;
+  return Number(text);
+}
+
+// Linear interpolation within the bucket holding the rank, as PromQL's
+// histogram_quantile does. Buckets are cumulative and sorted by `le`.
+function histogramQuantile(quantile, buckets) {
+  const total = buckets.length ? buckets[buckets.length - 1].count : 0;
+  if (!total) return null;
+  const rank = quantile * total;
+  let lowerBound = 0;
+  let lowerCount = 0;
+  for (const { le, count } of buckets) {
+    if (count >= rank) {
+      if (le === Infinity) return lowerBound;
+      if (count === lowerCount) return le;
+      return lowerBound + (le - lowerBound) * (rank - lowerCount) / (count - lowerCount);
+    }
+    lowerBound = le;
+    lowerCount = count;
+  }
+  return lowerBound;
+}
+
+// Maps mcp_* samples onto metrics fields. Latencies come from the tool call
+// histograms summed across tools, so they cover the server's whole lifetime.
+function normalizeOpenMetrics(samples) {
+  const valueOf = name => {
+    const sample = samples.find(candidate => candidate.name === name);
+    return sample ? sample.value : undefined;
+  };
+
+  const toolUsage = {};
+  const buckets = new Map();
+  let durationSum = 0;
+  let durationCount = 0;
+  samples.forEach(({ name, labels, value }) => {
+    if (name === 'mcp_tool_calls_total') {
+      toolUsage[labels.tool] = (toolUsage[labels.tool] || 0) + value;
+    } else if (name === 'mcp_tool_call_duration_seconds_bucket') {
+      const le = parseSampleValue(labels.le);
+      buckets.set(le, (buckets.get(le) || 0) + value);
+    } else if (name === 'mcp_tool_call_duration_seconds_sum') {
+      durationSum += value;
+    } else if (name === 'mcp_tool_call_duration_seconds_count') {
+      durationCount += value;
+    }
+  });
+
+  const sortedBuckets = [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([le, count]) => ({ le, count }));
+  const quantileMs = quantile => {
+    const seconds = histogramQuantile(quantile, sortedBuckets);
+    return seconds == null ? undefined : seconds * 1000;
+  };
+  const uptime = valueOf('mcp_uptime_seconds');
+
+  return {
+    server_status: 'online',
+    uptime_hours: uptime != null ? uptime / 3600 : undefined,
+    active_connections: valueOf('mcp_active_connections'),
+    total_requests: valueOf('mcp_requests_total'),
+    tools_available: valueOf('mcp_tools_registered'),
+    websocket_errors: valueOf('mcp_websocket_errors_total'),
+    average_response_time: durationCount ? durationSum / durationCount * 1000 : undefined,
+    p50_response_time: quantileMs(0.5),
+    p95_response_time: quantileMs(0.95),
+    tool_usage: toolUsage,
+  };
+}
+
+function inferLogLevel(message) {
+  const text = String(message || '').toLowerCase();
+  if (text.includes('error') || text.includes('exception')) return 'ERROR';
+  if (text.includes('warn')) return 'WARNING';
+  return 'INFO';
+}
+
+function matchesFieldType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+// Coerces a record onto the canonical field set. Missing fields become null;
+// fields of the wrong type are nulled out and reported.
+function conformRecord(record, schema, problems) {
+  const result = {};
+  Object.entries(schema).forEach(([field, type]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      result[field] = null;
+    } else if (matchesFieldType(value, type)) {
+      result[field] = value;
+    } else {
+      result[field] = null;
+      problems.add(`${field} should be ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+    }
+  });
+  return result;
+}
+
+function deriveMetrics(metrics) {
+  const { total_requests: total, successful_requests: ok, failed_requests: failed } = metrics;
+  if (total != null && ok == null && failed != null) metrics.successful_requests = total - failed;
+  if (total != null && failed == null && ok != null) metrics.failed_requests = total - ok;
+  if (metrics.success_rate == null && total && metrics.successful_requests != null) {
+    metrics.success_rate = metrics.successful_requests / total * 100;
+  }
+  return metrics;
+}
+
+function deriveRecord(kind, record) {
+  if (kind === 'connections') {
+    if (record.duration_seconds == null && record.connected_at) {
+      const elapsed = Math.floor((dataNow() - new Date(record.connected_at).getTime()) / 1000);
+      if (elapsed >= 0) record.duration_seconds = elapsed;
+    }
+    if (record.tools_used == null) record.tools_used = [];
+  }
+  if (kind === 'logs' && record.level) {
+    record.level = record.level.toUpperCase();
+  }
+  return record;
+}
+
+/**
+ * Maps a raw API payload of the given kind onto the canonical model.
+ * Returns null when no adapter recognizes the payload; callers should then
+ * keep rendering their previous data. Mismatches are surfaced through the
+ * schema banner rather than thrown.
+ */
+function normalizePayload(kind, raw, context = {}) {
+  const adapters = SchemaAdapters[kind];
+  const adapter = raw && typeof raw === 'object'
+    ? adapters.find(candidate => candidate.detect(raw))
+    : null;
+
+  if (!adapter) {
+    reportSchemaIssue(kind, [`unrecognized payload (${describePayload(raw)})`]);
+    return null;
+  }
+
+  AppState.schemaVersions[kind] = adapter.version;
+  const problems = new Set();
+  const schema = CanonicalSchema[kind];
+  const mapped = adapter.normalize(raw, context);
+
+  let result;
+  if (kind === 'metrics') {
+    result = deriveMetrics(conformRecord(mapped, schema, problems));
+  } else {
+    result = mapped.map(record => deriveRecord(kind, conformRecord(record || {}, schema, problems)));
+  }
+
+  if (problems.size > 0) {
+    reportSchemaIssue(kind, [...problems], adapter.version);
+  } else {
+    clearSchemaIssue(kind);
+  }
+  return result;
+}
+
+function describePayload(raw) {
+  if (raw === null || typeof raw !== 'object') return `got ${raw === null ? 'null' : typeof raw}`;
+  if (Array.isArray(raw)) return `array of ${raw.length}`;
+  return `keys: ${Object.keys(raw).join(', ') || 'none'}`;
+}
+
+function reportSchemaIssue(kind, problems, version) {
+  const label = version ? `${kind} (${version})` : kind;
+  AppState.schemaIssues[kind] = `${label}: ${problems.join('; ')}`;
+  console.warn(`Schema mismatch in ${label}:`, problems);
+  renderSchemaBanner();
+}
+
+function clearSchemaIssue(kind) {
+  if (!(kind in AppState.schemaIssues)) return;
+  delete AppState.schemaIssues[kind];
+  renderSchemaBanner();
+}
+
+function renderSchemaBanner() {
+  const banner = document.getElementById('schemaBanner');
+  if (!banner) return;
+  const issues = Object.values(AppState.schemaIssues);
+  banner.hidden = issues.length === 0;
+  document.getElementById('schemaBannerText').textContent = issues.join(' | ');
+}
+
+// ============================================================================
+// Request Client
+// ============================================================================
+
+const REQUEST_DEFAULTS = {
+  timeout: 8000,
+  retries: 2,
+  retryBaseMs: 300,
+  retryMaxMs: 3000,
+};
+
+class AuthError extends Error {
+  constructor(status, endpoint, detail = null) {
+    super(status === 401 ? 'Authentication required' : 'Access denied');
+    this.name = 'AuthError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.detail = detail;
+  }
+}
+
+class RequestError extends Error {
+  constructor(message, { status = null, timedOut = false } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.timedOut = timedOut;
+  }
+}
+
+// Concurrent identical GETs share one in-flight promise
+const inFlightRequests = new Map();
+
+function buildAuthHeaders(auth) {
+  if (!auth || !auth.token) return {};
+  if (auth.type === 'bearer') return { Authorization: `Bearer ${auth.token}` };
+  if (auth.type === 'api-key') return { [auth.headerName || 'X-API-Key']: auth.token };
+  return {};
+}
+
+/**
+ * Single entry point for HTTP calls to an MCP-Tavily server. Attaches the
+ * profile's credentials, enforces a timeout, retries transient failures with
+ * backoff and shares in-flight requests between concurrent callers. 401/403
+ * become an AuthError and prompt for new credentials when the active server
+ * rejected them; other failures reject with a RequestError.
+ *
+ * Options: method, body (sent as JSON), endpoint, auth, signal, timeout,
+ * retries, retryBaseMs, retryMaxMs, authPrompt (false keeps 401/403 from
+ * prompting), responseType ('text' resolves with the raw body instead of JSON)
+ * and acceptStatuses (error statuses whose body is returned instead of
+ * rejecting). Requests other than GET are neither shared nor retried unless
+ * the caller passes retries.
+ */
+function apiRequest(path, options = {}) {
+  const method = options.method || 'GET';
+  const settings = {
+    ...REQUEST_DEFAULTS,
+    retries: method === 'GET' ? REQUEST_DEFAULTS.retries : 0,
+    endpoint: AppState.apiEndpoint,
+    auth: AppState.auth,
+    ...options,
+    method,
+  };
+
+  // A caller-supplied signal means the caller manages cancellation, so skip sharing
+  if (settings.signal || method !== 'GET') return requestWithRetry(path, settings);
+
+  const key = `${settings.endpoint}${path}|${settings.auth.type}:${settings.auth.token}|${settings.responseType}`;
+  if (inFlightRequests.has(key)) return inFlightRequests.get(key);
+
+  const promise = requestWithRetry(path, settings);
+  inFlightRequests.set(key, promise);
+  promise.finally(() => inFlightRequests.delete(key)).catch(() => {});
+  return promise;
+}
+
+async function requestWithRetry(path, settings) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(path, settings);
+    } catch (error) {
+      const cancelled = settings.signal && settings.signal.aborted;
+      if (cancelled || attempt >= settings.retries || !isRetryableError(error)) throw error;
+      await sleep(backoffDelay(attempt, settings.retryBaseMs, settings.retryMaxMs));
     }
+  }
+}
+
+async function sendRequest(path, {
+  endpoint, auth, signal, timeout, method, body, authPrompt = true, responseType = 'json', acceptStatuses = [],
+}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const forwardAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', forwardAbort);
+
+  let response;
+  try {
+    const headers = buildAuthHeaders(auth);
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    response = await fetch(`${endpoint}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw new RequestError(`Network error: ${error.message}`);
+    if (signal && signal.aborted) throw error;
+    throw new RequestError(`Timed out after ${timeout}ms`, { timedOut: true });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    const error = new AuthError(response.status, endpoint, await readErrorDetail(response));
+    if (endpoint === AppState.apiEndpoint && authPrompt) showAuthPrompt(error);
+    throw error;
+  }
+  if (!response.ok && !acceptStatuses.includes(response.status)) {
+    const detail = await readErrorDetail(response);
+    throw new RequestError(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`, { status: response.status });
+  }
+
+  if (endpoint === AppState.apiEndpoint && path.startsWith('/api/')) hideAuthPrompt();
+  if (response.status === 204) return null;
+  return responseType === 'text' ? response.text() : response.json();
+}
+
+// FastAPI reports errors as {"detail": "..."}; anything else yields null
+async function readErrorDetail(response) {
+  try {
+    const data = await response.json();
+    return typeof data.detail === 'string' ? data.detail : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx are not
+function isRetryableError(error) {
+  if (!(error instanceof RequestError)) return false;
+  return error.status == null || error.status === 429 || error.status >= 500;
+}
+
+// Exponential backoff with jitter: a random delay in the upper half of the
+// capped exponential window, so clients that failed together spread out
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function showAuthPrompt(error) {
+  const prompt = document.getElementById('authPrompt');
+  if (!prompt.hidden) return;
+  document.getElementById('authPromptText').textContent =
+    `${error.message} for ${getActiveProfile().name} (${error.endpoint}, HTTP ${error.status}).`;
+  document.getElementById('authPromptType').value = AppState.auth.type === 'none' ? 'bearer' : AppState.auth.type;
+  document.getElementById('authPromptToken').value = '';
+  prompt.hidden = false;
+  updateServerStatus('unauthorized');
+}
+
+function hideAuthPrompt() {
+  document.getElementById('authPrompt').hidden = true;
+}
+
+function submitAuthPrompt() {
+  const token = document.getElementById('authPromptToken').value.trim();
+  if (!token) return;
+  updateActiveProfile({
+    auth: { ...AppState.auth, type: document.getElementById('authPromptType').value, token },
+  });
+  syncSettingsControls();
+  hideAuthPrompt();
+  restartLiveUpdates();
+  refreshCurrentSection();
+}
+
+// ============================================================================
+// API Functions
+// ============================================================================
+
+// Demo mode serves MockData (a function builds it on demand); otherwise failures
+// propagate so callers can show a stale or error state instead of fake numbers.
+// A session replay answers instead of either, and the session recorder keeps
+// whatever the server or simulator returned.
+async function fetchApiData(path, mockData, request = () => apiRequest(path)) {
+  if (SessionReplay.session) {
+    return replayResponse(path);
+  }
+  let data;
+  if (AppState.demoMode) {
+    data = typeof mockData === 'function' ? mockData() : mockData;
+  } else {
+    data = await request();
+  }
+  recordSessionEntry({ type: 'response', path, data });
+  return data;
+}
+
+// The prometheus source reads the same exposition Prometheus scrapes, so the
+// dashboard and Grafana show identical counters
+function fetchMetricsFrom(source, options = {}) {
+  if (source === 'prometheus') {
+    return apiRequest('/metrics', { ...options, responseType: 'text' }).then(parseOpenMetrics);
+  }
+  return apiRequest('/api/metrics', options);
+}
+
+async function fetchMetrics() {
+  const path = AppState.metricsSource === 'prometheus' ? '/metrics' : '/api/metrics';
+  return fetchApiData(path, MockData.metrics, () => fetchMetricsFrom(AppState.metricsSource));
+}
+
+async function fetchConnections() {
+  return fetchApiData('/api/connections', MockData.connections);
+}
+
+async function fetchTools() {
+  return fetchApiData('/api/tools', MockData.tools);
+}
+
+async function fetchLogs(params) {
+  return fetchApiData(params ? `/api/logs?${params}` : '/api/logs', () => demoLogPage(params));
+}
+
+// /health/ready answers 503 while a critical component is down, and that
+// report is exactly what the Health section needs to show
+async function fetchHealthReport() {
+  return fetchApiData('/health/ready', MockData.health, () => apiRequest('/health/ready', { acceptStatuses: [503] }));
+}
+
+async function checkHealth() {
+  try {
+    const startTime = Date.now();
+    const data = await apiRequest('/health', { retries: 0 });
+    const responseTime = Date.now() - startTime;
+    return { success: true, responseTime, data };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// Safe Rendering
+// ============================================================================
+
+// Everything shown on the dashboard comes from servers and, through logs and
+// connection ids, from arbitrary MCP clients, so markup is only ever built with
+// the `html` tag: interpolated values are escaped unless they are SafeHtml,
+// which only `html` itself produces.
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// null, undefined and false render as nothing so `${condition && html`...`}` works;
+// arrays are joined without separators
+function renderTemplateValue(value) {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template for markup. Values are escaped for both text and quoted
+ * attribute positions; always quote attribute values.
+ */
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += renderTemplateValue(value) + strings[index + 1];
   });
+  return new SafeHtml(markup);
+}
+
+// The single innerHTML sink: anything that is not SafeHtml is written as text
+function setHtml(element, content) {
+  if (content instanceof SafeHtml || Array.isArray(content)) {
+    element.innerHTML = renderTemplateValue(content);
+  } else {
+    element.textContent = content == null ? '' : String(content);
+  }
+}
+
+// ============================================================================
+// UI Update Functions
+// ============================================================================
+
+function updateServerStatus(status) {
+  AppState.serverStatus = status;
+  const statusDot = document.getElementById('statusDot');
+  const statusText = document.getElementById('statusText');
   
-  // Response Time Bar Chart
-  const responseCtx = document.getElementById('responseTimeChart').getContext('2d');
-  AppState.charts.responseTime = new Chart(responseCtx, {
-    type: 'bar',
-    data: {
-      labels: ['tavily-search', 'web-scrape', 'other'],
-      datasets: [{
-        label: 'Response Time (ms)',
-        data: [215, 312, 245],
-        backgroundColor: ['#1FB8CD', '#FFC185', '#B4413C'],
-        borderRadius: 6,
-      }]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      plugins: {
-        legend: {
-          display: false
+  if (status === 'online') {
+    statusDot.classList.add('online');
+    statusDot.classList.remove('offline');
+    statusText.textContent = 'Connected';
+  } else {
+    statusDot.classList.remove('online');
+    statusDot.classList.add('offline');
+    statusText.textContent = status === 'unauthorized' ? 'Unauthorized' : 'Offline';
+  }
+}
+
+function updateLastUpdate() {
+  const now = new Date(dataNow());
+  AppState.lastUpdate = now;
+  const timeString = now.toLocaleTimeString();
+  document.getElementById('lastUpdate').textContent = `Updated: ${timeString}`;
+}
+
+// Fills the metric widgets placed on the active dashboard layout
+function updateDashboardMetrics(metrics) {
+  document.querySelectorAll('#widgetGrid [data-widget-id]').forEach(element => {
+    const widget = DASHBOARD_WIDGETS[element.dataset.widgetId];
+    if (widget.type !== 'metric') return;
+    setHtml(element.querySelector('.metric-value'), widget.value(metrics));
+    setHtml(element.querySelector('.metric-subtext'), widget.subtext(metrics));
+  });
+  
+  updateServerStatus(metrics.server_status);
+}
+
+const HEALTH_STATUS_LABELS = { ok: 'OK', degraded: 'Degraded', down: 'Down' };
+
+// Not ready while a critical component is down, degraded while anything is not ok
+function summarizeHealth(components) {
+  if (components.some(component => component.critical && component.status === 'down')) return 'down';
+  if (components.some(component => component.status !== 'ok')) return 'degraded';
+  return 'ok';
+}
+
+function updateHealthComponents(components) {
+  const grid = document.getElementById('healthGrid');
+  if (components.length === 0) {
+    setHtml(grid, html`<div class="alert-empty">The server reported no components</div>`);
+  } else {
+    setHtml(grid, components.map(renderHealthCard));
+  }
+
+  const overall = summarizeHealth(components);
+  const summary = document.getElementById('healthSummary');
+  summary.textContent = overall === 'down'
+    ? `Not ready · checked ${new Date().toLocaleTimeString()}`
+    : `Ready${overall === 'degraded' ? ' (degraded)' : ''} · checked ${new Date().toLocaleTimeString()}`;
+  summary.className = `status ${overall}`;
+}
+
+function renderHealthCard(component) {
+  return html`
+    <div class="health-card">
+      <div class="health-header">
+        <h3>${component.label || component.name}</h3>
+        <span class="status ${component.status || 'unknown'}">${HEALTH_STATUS_LABELS[component.status] || '--'}</span>
+      </div>
+      <div class="health-details">
+        <div class="health-item">
+          <span class="health-label">Check Latency:</span>
+          <span class="health-value">${formatMs(component.latency_ms)}</span>
+        </div>
+        <div class="health-item">
+          <span class="health-label">Required for Readiness:</span>
+          <span class="health-value">${component.critical ? 'Yes' : 'No'}</span>
+        </div>
+        ${component.message && html`<p class="health-message">${component.message}</p>`}
+      </div>
+    </div>
+  `;
+}
+
+function filterConnections(connections) {
+  const filter = document.getElementById('connectionFilter').value;
+  return filter === 'all' ? connections : connections.filter(conn => conn.status === filter);
+}
+
+function updateConnectionsTable(connections) {
+  const tbody = document.getElementById('connectionsTableBody');
+  const filteredConnections = filterConnections(connections);
+  
+  if (filteredConnections.length === 0) {
+    setHtml(tbody, html`<tr><td colspan="7" class="text-center">No connections found</td></tr>`);
+    return;
+  }
+  
+  setHtml(tbody, filteredConnections.map(conn => {
+    const connectedAt = conn.connected_at ? new Date(conn.connected_at).toLocaleString() : '--';
+    const duration = formatDuration(conn.duration_seconds);
+    const statusClass = conn.status === 'connected' ? 'status connected' : 'status disconnected';
+    
+    return html`
+      <tr class="clickable-row" data-connection-id="${conn.id}">
+        <td>${conn.id}</td>
+        <td>${connectedAt}</td>
+        <td>${duration}</td>
+        <td><span class="${statusClass}">${conn.status}</span></td>
+        <td title="${describeClient(conn)}">${conn.protocol_version || '--'}</td>
+        <td>${conn.tools_used.join(', ') || '--'}</td>
+        <td><button class="btn btn-secondary btn-small" data-trace-client="${conn.id}">Traces</button></td>
+      </tr>
+    `;
+  }));
+}
+
+// "name version" from the MCP clientInfo sent with initialize
+function describeClient(conn) {
+  if (!conn.client_info) return conn.protocol_version ? 'Unnamed client' : 'Not initialized over MCP';
+  return [conn.client_info.name, conn.client_info.version].filter(Boolean).join(' ');
+}
+
+// Capability names with their enabled sub-features, e.g. "roots (listChanged)"
+function describeCapabilities(capabilities) {
+  return Object.entries(capabilities || {}).map(([name, value]) => {
+    const features = value && typeof value === 'object'
+      ? Object.keys(value).filter(key => value[key])
+      : [];
+    return features.length > 0 ? `${name} (${features.join(', ')})` : name;
+  });
+}
+
+function updateToolsGrid(tools) {
+  const grid = document.getElementById('toolsGrid');
+  const sortBy = document.getElementById('toolsSortBy').value;
+  
+  let sortedTools = [...tools];
+  switch (sortBy) {
+    case 'calls':
+      sortedTools.sort((a, b) => (b.call_count || 0) - (a.call_count || 0));
+      break;
+    case 'name':
+      sortedTools.sort((a, b) => a.name.localeCompare(b.name));
+      break;
+    case 'success':
+      sortedTools.sort((a, b) => (b.success_rate || 0) - (a.success_rate || 0));
+      break;
+  }
+  
+  setHtml(grid, sortedTools.map(tool => html`
+    <div class="tool-card">
+      <div class="tool-header">
+        <div class="tool-name">${tool.name}</div>
+      </div>
+      <div class="tool-description">${tool.description || ''}</div>
+      <div class="tool-stats">
+        <div class="tool-stat">
+          <span class="tool-stat-value">${formatNumber(tool.call_count)}</span>
+          <span class="tool-stat-label">Calls</span>
+        </div>
+        <div class="tool-stat">
+          <span class="tool-stat-value">${formatPercent(tool.success_rate)}</span>
+          <span class="tool-stat-label">Success</span>
+        </div>
+        <div class="tool-stat">
+          <span class="tool-stat-value">${formatMs(tool.avg_response_time)}</span>
+          <span class="tool-stat-label">Avg Time</span>
+        </div>
+      </div>
+      ${tool.last_error && html`<div class="tool-last-error" title="${tool.last_error}">Last error: ${tool.last_error}</div>`}
+    </div>
+  `));
+}
+
+const LOG_PAGE_SIZE = 200;
+// Oldest entries are dropped past this many; "Load older" brings them back
+const LOG_CLIENT_LIMIT = 200000;
+const LOG_ROW_HEIGHT = 28;
+const LOG_OVERSCAN_ROWS = 20;
+
+// Field prefixes accepted in the log search box, e.g. `level:ERROR client:conn_003`
+const LOG_QUERY_FIELDS = {
+  level: 'level',
+  client: 'client_id',
+  client_id: 'client_id',
+  tool: 'tool',
+  logger: 'logger',
+  request: 'request_id',
+  request_id: 'request_id',
+  trace: 'trace_id',
+  trace_id: 'trace_id',
+  span: 'span_id',
+  msg: 'message',
+  message: 'message',
+};
+const LOG_TEXT_FIELDS = ['message', 'logger', 'client_id', 'tool', 'request_id', 'trace_id'];
+
+/**
+ * State of the virtualized log list. `filtered` holds the log records that
+ * pass the current level and search filters; only the rows inside the scroll
+ * viewport are ever in the DOM.
+ */
+const LogView = {
+  query: { terms: [], error: null },
+  filtered: [],
+  following: true,
+  paused: false,
+  pending: [],
+  unseen: 0,
+  renderScheduled: false,
+};
+
+/**
+ * Parses the search box into AND-ed terms. A term is free text, a "quoted
+ * phrase" or a /regex/flags, optionally prefixed by a field from
+ * LOG_QUERY_FIELDS. Unprefixed terms match any text field.
+ */
+function parseLogQuery(text) {
+  const terms = [];
+  let error = null;
+  const tokenPattern = /(?:(\w+):)?("(?:[^"\\]|\\.)*"|\/(?:[^/\\]|\\.)+\/[a-z]*|\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    let [token, prefix, value] = match;
+    let field = null;
+    if (prefix && LOG_QUERY_FIELDS[prefix.toLowerCase()]) {
+      field = LOG_QUERY_FIELDS[prefix.toLowerCase()];
+    } else if (prefix) {
+      value = token;
+    }
+
+    try {
+      terms.push({ field, ...buildLogMatcher(value) });
+    } catch (regexError) {
+      error = `Invalid pattern ${value}: ${regexError.message}`;
+    }
+  }
+  return { terms, error };
+}
+
+function buildLogMatcher(value) {
+  const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(value);
+  if (regexLiteral) {
+    const flags = regexLiteral[2].replace('g', '');
+    return {
+      test: new RegExp(regexLiteral[1], flags),
+      highlight: new RegExp(regexLiteral[1], `${flags}g`),
+    };
+  }
+
+  const literal = value.startsWith('"') && value.endsWith('"') && value.length > 1
+    ? value.slice(1, -1).replace(/\\(.)/g, '$1')
+    : value;
+  const escaped = literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    test: new RegExp(escaped, 'i'),
+    highlight: new RegExp(escaped, 'gi'),
+  };
+}
+
+function logMatchesFilters(log) {
+  const level = document.getElementById('logLevelFilter').value;
+  if (level !== 'all' && log.level !== level) return false;
+
+  return LogView.query.terms.every(term => {
+    const fields = term.field ? [term.field] : LOG_TEXT_FIELDS;
+    return fields.some(field => log[field] != null && term.test.test(log[field]));
+  });
+}
+
+// Wraps search matches in the message with <mark>, escaping everything else
+function highlightLogMessage(message) {
+  const ranges = [];
+  LogView.query.terms
+    .filter(term => term.field === null || term.field === 'message')
+    .forEach(term => {
+      term.highlight.lastIndex = 0;
+      let match;
+      while ((match = term.highlight.exec(message)) !== null) {
+        if (match[0].length === 0) {
+          term.highlight.lastIndex += 1;
+          continue;
         }
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    });
+
+  if (ranges.length === 0) return html`${message}`;
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= position) return;
+    const from = Math.max(start, position);
+    parts.push(message.slice(position, from));
+    parts.push(html`<mark>${message.slice(from, end)}</mark>`);
+    position = end;
+  });
+  parts.push(message.slice(position));
+  return html`${parts}`;
+}
+
+function renderLogEntry(log) {
+  const date = new Date(log.timestamp);
+  const timeString = date.toLocaleTimeString();
+  const levelClass = `log-${log.level.toLowerCase()}`;
+  const tags = [log.logger, log.client_id, log.tool, log.request_id]
+    .filter(Boolean)
+    .map(tag => html`<span class="log-tag">${tag}</span>`);
+  if (log.trace_id) {
+    tags.push(html`<button class="log-tag log-trace-link" data-trace-id="${log.trace_id}" title="Open trace ${log.trace_id}">trace</button>`);
+  }
+
+  return html`
+    <div class="log-entry ${levelClass}"${log.id != null && html` data-log-id="${log.id}"`}>
+      <span class="log-time">${timeString}</span>
+      <span class="log-level">${log.level}</span>
+      <span class="log-message" title="${log.message}">${tags}${highlightLogMessage(log.message)}</span>
+    </div>
+  `;
+}
+
+function scheduleLogRender() {
+  if (LogView.renderScheduled) return;
+  LogView.renderScheduled = true;
+  requestAnimationFrame(() => {
+    LogView.renderScheduled = false;
+    renderLogViewport();
+  });
+}
+
+// Renders only the rows inside the viewport plus an overscan margin
+function renderLogViewport() {
+  const container = document.getElementById('logsContainer');
+  const total = LogView.filtered.length;
+  document.getElementById('logsSpacer').style.height = `${total * LOG_ROW_HEIGHT}px`;
+
+  if (LogView.following) {
+    container.scrollTop = container.scrollHeight;
+  }
+
+  const rows = document.getElementById('logsRows');
+  if (total === 0) {
+    rows.style.transform = 'translateY(0)';
+    setHtml(rows, html`<div class="log-empty">No matching log lines</div>`);
+    updateLogTailIndicator();
+    return;
+  }
+
+  const first = Math.max(0, Math.floor(container.scrollTop / LOG_ROW_HEIGHT) - LOG_OVERSCAN_ROWS);
+  const count = Math.ceil(container.clientHeight / LOG_ROW_HEIGHT) + LOG_OVERSCAN_ROWS * 2;
+  const last = Math.min(total, first + count);
+
+  rows.style.transform = `translateY(${first * LOG_ROW_HEIGHT}px)`;
+  setHtml(rows, LogView.filtered.slice(first, last).map(renderLogEntry));
+  updateLogTailIndicator();
+}
+
+function updateLogTailIndicator() {
+  const indicator = document.getElementById('logsNewLines');
+  if (LogView.paused) {
+    indicator.textContent = `Paused · ${LogView.pending.length.toLocaleString()} new lines`;
+    indicator.hidden = false;
+  } else if (LogView.unseen > 0) {
+    indicator.textContent = `${LogView.unseen.toLocaleString()} new lines ↓`;
+    indicator.hidden = false;
+  } else {
+    indicator.hidden = true;
+  }
+  document.getElementById('pauseLogs').textContent = LogView.paused ? 'Resume' : 'Pause';
+}
+
+function refilterLogs() {
+  LogView.filtered = AppState.logsData.filter(logMatchesFilters);
+  LogView.unseen = 0;
+  scheduleLogRender();
+}
+
+function updateLogsContainer(logs) {
+  LogView.filtered = logs.filter(logMatchesFilters);
+  LogView.unseen = 0;
+  updateLoadOlderButton();
+  scheduleLogRender();
+}
+
+// Adds newer entries at the bottom; while paused they wait in LogView.pending
+function appendLogEntries(entries) {
+  const held = LogView.pending.length ? LogView.pending : AppState.logsData;
+  const lastLog = held[held.length - 1];
+  const fresh = lastLog && lastLog.id != null
+    ? entries.filter(log => log.id == null || log.id > lastLog.id)
+    : entries;
+  if (fresh.length === 0) return;
+
+  if (LogView.paused) {
+    LogView.pending.push(...fresh);
+    updateLogTailIndicator();
+    return;
+  }
+  commitLogEntries(fresh);
+}
+
+function commitLogEntries(entries) {
+  AppState.logsData.push(...entries);
+  const matching = entries.filter(logMatchesFilters);
+  LogView.filtered.push(...matching);
+  if (!LogView.following) LogView.unseen += matching.length;
+
+  // Trim in chunks so a full buffer does not refilter on every append
+  if (AppState.logsData.length > LOG_CLIENT_LIMIT * 1.1) {
+    AppState.logsData.splice(0, AppState.logsData.length - LOG_CLIENT_LIMIT);
+    AppState.logQuery.hasOlder = true;
+    AppState.logQuery.oldestId = AppState.logsData[0].id;
+    const oldest = AppState.logsData[0];
+    const cut = LogView.filtered.findIndex(log => log.id >= oldest.id);
+    const removed = cut < 0 ? LogView.filtered.length : cut;
+    LogView.filtered.splice(0, removed);
+    if (!LogView.following) {
+      document.getElementById('logsContainer').scrollTop -= removed * LOG_ROW_HEIGHT;
+    }
+    updateLoadOlderButton();
+  }
+  scheduleLogRender();
+}
+
+// Adds older entries at the top, keeping the visible rows where they were
+function prependLogEntries(entries) {
+  AppState.logsData.unshift(...entries);
+  const matching = entries.filter(logMatchesFilters);
+  LogView.filtered.unshift(...matching);
+  document.getElementById('logsSpacer').style.height = `${LogView.filtered.length * LOG_ROW_HEIGHT}px`;
+  document.getElementById('logsContainer').scrollTop += matching.length * LOG_ROW_HEIGHT;
+  scheduleLogRender();
+}
+
+function setLogsPaused(paused) {
+  LogView.paused = paused;
+  if (!paused && LogView.pending.length) {
+    const pending = LogView.pending;
+    LogView.pending = [];
+    commitLogEntries(pending);
+  }
+  updateLogTailIndicator();
+}
+
+function jumpToLatestLogs() {
+  if (LogView.paused) setLogsPaused(false);
+  LogView.following = true;
+  LogView.unseen = 0;
+  scheduleLogRender();
+}
+
+// Following the tail stops as soon as the user scrolls away from the bottom
+// and resumes when they scroll back, so auto-scroll never yanks the view
+function handleLogsScroll() {
+  const container = document.getElementById('logsContainer');
+  const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - LOG_ROW_HEIGHT;
+  LogView.following = atBottom && document.getElementById('autoScrollLogs').checked;
+  if (atBottom) LogView.unseen = 0;
+  scheduleLogRender();
+}
+
+function applyLogSearch() {
+  const input = document.getElementById('logSearch');
+  LogView.query = parseLogQuery(input.value.trim());
+  input.classList.toggle('is-invalid', LogView.query.error !== null);
+  input.title = LogView.query.error || '';
+  refilterLogs();
+  updateRoute({ replace: true });
+}
+
+function updateLoadOlderButton() {
+  document.getElementById('loadOlderLogs').hidden = !AppState.logQuery.hasOlder;
+}
+
+// ============================================================================
+// Dashboard Widgets
+// ============================================================================
+
+// Column spans in the widget grid (four columns on wide screens)
+const WIDGET_SIZES = { s: 'Small', m: 'Medium', l: 'Large' };
+
+const WIDGET_ICONS = {
+  clock: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>`,
+  users: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><path d="M23 21v-2a4 4 0 0 0-3-3.87"></path><path d="M16 3.13a4 4 0 0 1 0 7.75"></path></svg>`,
+  activity: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline></svg>`,
+  tool: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path></svg>`,
+  database: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>`,
+  alert: html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="var(--color-primary)" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>`,
+};
+
+/**
+ * Everything the Dashboard section can show, in catalogue order. `source` is
+ * the resource kind the widget's stale badge follows. Metric widgets map the
+ * normalized metrics to a value and subtext; chart widgets create the chart
+ * kept in AppState.charts[chart] when placed, and the chart's own update
+ * function fills it.
+ */
+const DASHBOARD_WIDGETS = {
+  serverStatus: {
+    title: 'Server Status',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'clock',
+    tone: 1,
+    value: metrics => (metrics.server_status === 'online' ? 'Online' : 'Offline'),
+    subtext: metrics => `Uptime: ${formatUptime(metrics.uptime_hours)}`,
+  },
+  connections: {
+    title: 'Total Connections',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'users',
+    tone: 2,
+    value: metrics => formatNumber(metrics.total_connections),
+    subtext: metrics => `${formatNumber(metrics.active_connections)} active now`,
+  },
+  requests: {
+    title: 'Total Requests',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'activity',
+    tone: 3,
+    value: metrics => formatNumber(metrics.total_requests),
+    subtext: metrics => html`<span class="text-success">${formatNumber(metrics.successful_requests)}</span> / <span class="text-error">${formatNumber(metrics.failed_requests)}</span>`,
+  },
+  avgResponse: {
+    title: 'Avg Response Time',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'clock',
+    tone: 4,
+    value: metrics => formatMs(metrics.average_response_time),
+    subtext: () => 'milliseconds',
+  },
+  toolsAvailable: {
+    title: 'Tools Available',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'tool',
+    tone: 5,
+    value: metrics => formatNumber(metrics.tools_available),
+    subtext: () => 'MCP tools ready',
+  },
+  redis: {
+    title: 'Redis Status',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'database',
+    tone: 6,
+    value: metrics => formatRedisStatus(metrics.redis_status),
+    subtext: metrics => `${formatMs(metrics.redis_latency)} latency`,
+  },
+  p95Response: {
+    title: 'P95 Response Time',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'activity',
+    tone: 4,
+    value: metrics => formatMs(metrics.p95_response_time),
+    subtext: metrics => `p50 ${formatMs(metrics.p50_response_time)}`,
+  },
+  websocketErrors: {
+    title: 'WebSocket Errors',
+    type: 'metric',
+    size: 's',
+    source: 'metrics',
+    icon: 'alert',
+    tone: 3,
+    value: metrics => formatNumber(metrics.websocket_errors),
+    subtext: () => 'since the server started',
+  },
+  successRate: {
+    title: 'Request Success Rate',
+    type: 'chart',
+    size: 'm',
+    source: 'metrics',
+    chart: 'successRate',
+    create: createSuccessRateChart,
+  },
+  responseTime: {
+    title: 'Response Times by Tool',
+    type: 'chart',
+    size: 'm',
+    source: 'tools',
+    chart: 'responseTime',
+    create: createResponseTimeChart,
+  },
+  requestRate: {
+    title: 'Request & Error Rate',
+    type: 'chart',
+    size: 'm',
+    source: 'metrics',
+    chart: 'requestRate',
+    create: createRequestRateChart,
+  },
+  latency: {
+    title: 'Latency',
+    type: 'chart',
+    size: 'm',
+    source: 'metrics',
+    chart: 'latency',
+    create: createLatencyChart,
+  },
+  activeConnections: {
+    title: 'Active Connections',
+    type: 'chart',
+    size: 'm',
+    source: 'metrics',
+    chart: 'activeConnections',
+    create: createActiveConnectionsChart,
+  },
+};
+
+// Drag-and-drop state while the active layout is being customized
+const DashboardEditor = {
+  editing: false,
+  dragging: null,
+};
+
+// Unknown widgets and repeats are dropped; a missing or unknown size falls back to the widget's default
+function sanitizeLayoutWidgets(widgets) {
+  const seen = new Set();
+  return (Array.isArray(widgets) ? widgets : [])
+    .filter(widget => {
+      if (!widget || !Object.hasOwn(DASHBOARD_WIDGETS, widget.id) || seen.has(widget.id)) return false;
+      seen.add(widget.id);
+      return true;
+    })
+    .map(widget => ({
+      id: widget.id,
+      size: Object.hasOwn(WIDGET_SIZES, widget.size) ? widget.size : DASHBOARD_WIDGETS[widget.id].size,
+    }));
+}
+
+function createLayout(overrides = {}) {
+  return {
+    id: overrides.id || `layout-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: overrides.name || 'Untitled',
+    widgets: sanitizeLayoutWidgets(overrides.widgets),
+  };
+}
+
+function createDefaultLayouts() {
+  const place = (...ids) => ids.map(id => (typeof id === 'string' ? { id } : id));
+  return [
+    createLayout({
+      id: 'overview',
+      name: 'Overview',
+      widgets: place('serverStatus', 'connections', 'requests', 'avgResponse', 'toolsAvailable', 'redis',
+        'successRate', 'responseTime', 'requestRate', 'latency', 'activeConnections'),
+    }),
+    createLayout({
+      id: 'on-call',
+      name: 'On-call',
+      widgets: place('serverStatus', 'redis', 'p95Response', 'websocketErrors',
+        { id: 'requestRate', size: 'l' }, 'latency', 'successRate'),
+    }),
+    createLayout({
+      id: 'capacity-planning',
+      name: 'Capacity planning',
+      widgets: place('connections', 'requests', 'avgResponse', 'toolsAvailable',
+        { id: 'activeConnections', size: 'l' }, 'requestRate', 'responseTime'),
+    }),
+  ];
+}
+
+function getActiveLayout() {
+  return AppState.dashboardLayouts.find(layout => layout.id === AppState.activeLayoutId) || AppState.dashboardLayouts[0];
+}
+
+function renderWidget({ id, size }) {
+  const widget = DASHBOARD_WIDGETS[id];
+  const controls = html`
+    <div class="widget-controls">
+      <span class="widget-handle" title="Drag to reorder" aria-hidden="true">⠿</span>
+      <button class="widget-control" data-widget-move="-1" aria-label="Move ${widget.title} earlier">←</button>
+      <button class="widget-control" data-widget-move="1" aria-label="Move ${widget.title} later">→</button>
+      <select class="widget-control" data-widget-size="${size}" aria-label="Size of ${widget.title}">
+        ${Object.entries(WIDGET_SIZES).map(([key, label]) => html`<option value="${key}">${label}</option>`)}
+      </select>
+      <button class="widget-control" data-widget-remove aria-label="Remove ${widget.title}">×</button>
+    </div>
+  `;
+
+  if (widget.type === 'chart') {
+    return html`
+      <div class="chart-card widget widget-size-${size}" data-widget-id="${id}" data-source="${widget.source}" draggable="${String(DashboardEditor.editing)}">
+        ${controls}
+        <div class="chart-card-header">
+          <h3>${widget.title}</h3>
+          <button class="btn btn-secondary btn-small" data-export-chart="${widget.chart}">PNG</button>
+        </div>
+        <div class="chart-container">
+          <canvas id="${widget.chart}Chart"></canvas>
+        </div>
+      </div>
+    `;
+  }
+  return html`
+    <div class="metric-card widget widget-size-${size}" data-widget-id="${id}" data-source="${widget.source}" draggable="${String(DashboardEditor.editing)}">
+      ${controls}
+      <div class="metric-icon metric-icon-bg-${widget.tone}">${WIDGET_ICONS[widget.icon]}</div>
+      <div class="metric-content">
+        <div class="metric-label">${widget.title}</div>
+        <div class="metric-value">--</div>
+        <div class="metric-subtext">--</div>
+      </div>
+    </div>
+  `;
+}
+
+function destroyWidgetCharts() {
+  Object.values(DASHBOARD_WIDGETS).forEach(widget => {
+    if (widget.type !== 'chart' || !AppState.charts[widget.chart]) return;
+    AppState.charts[widget.chart].destroy();
+    delete AppState.charts[widget.chart];
+  });
+}
+
+// Rebuilds the grid for the active layout and refills it from data already loaded
+function renderDashboardWidgets() {
+  const layout = getActiveLayout();
+  const grid = document.getElementById('widgetGrid');
+  destroyWidgetCharts();
+  if (layout.widgets.length === 0) {
+    setHtml(grid, html`<div class="alert-empty">No widgets on this layout. Use Customize to add some.</div>`);
+  } else {
+    setHtml(grid, layout.widgets.map(renderWidget));
+  }
+  grid.classList.toggle('editing', DashboardEditor.editing);
+  grid.querySelectorAll('[data-widget-size]').forEach(select => {
+    select.value = select.dataset.widgetSize;
+  });
+
+  layout.widgets.forEach(({ id }) => {
+    const widget = DASHBOARD_WIDGETS[id];
+    if (widget.type === 'chart') AppState.charts[widget.chart] = widget.create(`${widget.chart}Chart`);
+  });
+  if (AppState.metricsData) {
+    updateDashboardMetrics(AppState.metricsData);
+    updateCharts(AppState.metricsData);
+  }
+  updateToolResponseChart(AppState.toolsData);
+  updateHistoryCharts();
+  Object.keys(AppState.dataStatus).forEach(renderDataStatus);
+  renderLayoutControls();
+}
+
+function renderLayoutControls() {
+  const layout = getActiveLayout();
+  const select = document.getElementById('dashboardLayoutSelect');
+  setHtml(select, AppState.dashboardLayouts.map(item => html`<option value="${item.id}">${item.name}</option>`));
+  select.value = layout.id;
+
+  document.getElementById('customizeDashboard').textContent = DashboardEditor.editing ? 'Done' : 'Customize';
+  document.getElementById('widgetEditor').hidden = !DashboardEditor.editing;
+  document.getElementById('layoutNameInput').value = layout.name;
+  document.getElementById('deleteLayout').disabled = AppState.dashboardLayouts.length <= 1;
+
+  const placed = new Set(layout.widgets.map(widget => widget.id));
+  const available = Object.entries(DASHBOARD_WIDGETS).filter(([id]) => !placed.has(id));
+  setHtml(document.getElementById('addWidgetSelect'), available.length
+    ? available.map(([id, widget]) => html`<option value="${id}">${widget.title}</option>`)
+    : html`<option value="">Every widget is placed</option>`);
+  document.getElementById('addWidget').disabled = available.length === 0;
+}
+
+// Every edit is saved to the active layout straight away
+function updateActiveLayout(changes) {
+  const layout = getActiveLayout();
+  Object.assign(layout, changes);
+  persistSettings();
+  renderDashboardWidgets();
+}
+
+function switchLayout(layoutId) {
+  AppState.activeLayoutId = layoutId;
+  persistSettings();
+  renderDashboardWidgets();
+}
+
+function toggleDashboardEditing() {
+  DashboardEditor.editing = !DashboardEditor.editing;
+  renderDashboardWidgets();
+}
+
+function addWidget(id) {
+  if (!Object.hasOwn(DASHBOARD_WIDGETS, id)) return;
+  updateActiveLayout({ widgets: [...getActiveLayout().widgets, { id, size: DASHBOARD_WIDGETS[id].size }] });
+}
+
+function removeWidget(id) {
+  updateActiveLayout({ widgets: getActiveLayout().widgets.filter(widget => widget.id !== id) });
+}
+
+function resizeWidget(id, size) {
+  updateActiveLayout({
+    widgets: getActiveLayout().widgets.map(widget => (widget.id === id ? { ...widget, size } : widget)),
+  });
+}
+
+function moveWidget(id, toIndex) {
+  const widgets = [...getActiveLayout().widgets];
+  const fromIndex = widgets.findIndex(widget => widget.id === id);
+  if (fromIndex < 0 || toIndex < 0 || toIndex >= widgets.length || toIndex === fromIndex) return;
+  widgets.splice(toIndex, 0, ...widgets.splice(fromIndex, 1));
+  updateActiveLayout({ widgets });
+}
+
+function duplicateLayout() {
+  const source = getActiveLayout();
+  const layout = createLayout({ name: `${source.name} copy`, widgets: source.widgets });
+  AppState.dashboardLayouts.push(layout);
+  switchLayout(layout.id);
+}
+
+function deleteActiveLayout() {
+  if (AppState.dashboardLayouts.length <= 1) return;
+  const layout = getActiveLayout();
+  if (!confirm(`Delete layout "${layout.name}"?`)) return;
+  AppState.dashboardLayouts = AppState.dashboardLayouts.filter(item => item.id !== layout.id);
+  switchLayout(AppState.dashboardLayouts[0].id);
+}
+
+function handleWidgetDragStart(e) {
+  const element = e.target.closest('[data-widget-id]');
+  if (!DashboardEditor.editing || !element) return;
+  DashboardEditor.dragging = element.dataset.widgetId;
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', DashboardEditor.dragging);
+  element.classList.add('dragging');
+}
+
+function handleWidgetDragOver(e) {
+  const target = e.target.closest('[data-widget-id]');
+  if (!DashboardEditor.dragging || !target) return;
+  e.preventDefault();
+  document.querySelectorAll('#widgetGrid .drop-target').forEach(element => element.classList.remove('drop-target'));
+  if (target.dataset.widgetId !== DashboardEditor.dragging) target.classList.add('drop-target');
+}
+
+// Dropping on a widget takes its place; the widgets in between shift by one
+function handleWidgetDrop(e) {
+  const target = e.target.closest('[data-widget-id]');
+  const id = DashboardEditor.dragging;
+  if (!id || !target) return;
+  e.preventDefault();
+  DashboardEditor.dragging = null;
+  moveWidget(id, getActiveLayout().widgets.findIndex(widget => widget.id === target.dataset.widgetId));
+}
+
+function handleWidgetDragEnd() {
+  DashboardEditor.dragging = null;
+  document.querySelectorAll('#widgetGrid .dragging, #widgetGrid .drop-target').forEach(element => {
+    element.classList.remove('dragging', 'drop-target');
+  });
+}
+
+// ============================================================================
+// Chart Initialization and Updates
+// ============================================================================
+
+// Chart widgets create their chart on a freshly rendered canvas; see DASHBOARD_WIDGETS
+function createSuccessRateChart(canvasId) {
+  const successCtx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(successCtx, {
+    type: 'doughnut',
+    data: {
+      labels: ['Successful', 'Failed'],
+      datasets: [{
+        // Empty until the server reports a success rate
+        data: [],
+        backgroundColor: ['#1FB8CD', '#FFC185'],
+        borderWidth: 0,
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: {
+            color: getComputedStyle(document.documentElement)
+              .getPropertyValue('--color-text').trim(),
+            font: { size: 12 }
+          }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              return `${context.label}: ${context.parsed}%`;
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+// One bar per tool, filled by updateToolResponseChart
+function createResponseTimeChart(canvasId) {
+  const responseCtx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(responseCtx, {
+    type: 'bar',
+    data: {
+      labels: [],
+      datasets: [{
+        label: 'Response Time (ms)',
+        data: [],
+        backgroundColor: CHART_PALETTE,
+        borderRadius: 6,
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: false
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            color: getComputedStyle(document.documentElement)
+              .getPropertyValue('--color-text-secondary').trim()
+          },
+          grid: {
+            color: getComputedStyle(document.documentElement)
+              .getPropertyValue('--color-border').trim()
+          }
+        },
+        x: {
+          ticks: {
+            color: getComputedStyle(document.documentElement)
+              .getPropertyValue('--color-text-secondary').trim()
+          },
+          grid: {
+            display: false
+          }
+        }
+      }
+    }
+  });
+}
+
+function updateCharts(metrics) {
+  if (!AppState.charts.successRate) return;
+  
+  // Update success rate chart; a server without a success rate leaves it empty
+  let data = [];
+  if (metrics.success_rate != null) {
+    const successRate = metrics.success_rate.toFixed(1);
+    data = [successRate, (100 - successRate).toFixed(1)];
+  }
+
+  AppState.charts.successRate.data.datasets[0].data = data;
+  AppState.charts.successRate.update();
+}
+
+function updateToolResponseChart(tools) {
+  const chart = AppState.charts.responseTime;
+  if (!chart) return;
+
+  const timedTools = tools.filter(tool => tool.avg_response_time != null);
+  chart.data.labels = timedTools.map(tool => tool.name);
+  chart.data.datasets[0].data = timedTools.map(tool => tool.avg_response_time);
+  chart.update();
+}
+
+function createLineChart(canvasId, datasets, yAxes) {
+  const textColor = getComputedStyle(document.documentElement)
+    .getPropertyValue('--color-text-secondary').trim();
+  const gridColor = getComputedStyle(document.documentElement)
+    .getPropertyValue('--color-border').trim();
+
+  const scales = {
+    x: {
+      ticks: { color: textColor, maxTicksLimit: 8, maxRotation: 0 },
+      grid: { display: false }
+    }
+  };
+  Object.entries(yAxes).forEach(([axisId, axis]) => {
+    scales[axisId] = {
+      beginAtZero: true,
+      position: axis.position || 'left',
+      title: { display: true, text: axis.title, color: textColor },
+      ticks: { color: textColor },
+      grid: { color: gridColor, drawOnChartArea: axis.position !== 'right' }
+    };
+  });
+
+  const ctx = document.getElementById(canvasId).getContext('2d');
+  return new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: datasets.map((dataset, index) => ({
+        borderColor: CHART_PALETTE[index],
+        backgroundColor: CHART_PALETTE[index],
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.3,
+        spanGaps: true,
+        data: [],
+        ...dataset,
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: {
+            color: getComputedStyle(document.documentElement)
+              .getPropertyValue('--color-text').trim(),
+            font: { size: 12 }
+          }
+        }
+      },
+      scales
+    }
+  });
+}
+
+function createRequestRateChart(canvasId) {
+  return createLineChart(canvasId, [
+    { label: 'Requests / min', yAxisID: 'y' },
+    { label: 'Error rate %', yAxisID: 'y1' },
+  ], {
+    y: { title: 'req/min' },
+    y1: { title: '%', position: 'right' },
+  });
+}
+
+function createLatencyChart(canvasId) {
+  return createLineChart(canvasId, [
+    { label: 'p50', yAxisID: 'y' },
+    { label: 'p95', yAxisID: 'y' },
+  ], {
+    y: { title: 'ms' },
+  });
+}
+
+function createActiveConnectionsChart(canvasId) {
+  return createLineChart(canvasId, [
+    { label: 'Active connections', yAxisID: 'y', stepped: true, tension: 0 },
+  ], {
+    y: { title: 'connections' },
+  });
+}
+
+// Updates whichever history charts the active dashboard layout shows
+function updateHistoryCharts() {
+  const { requestRate, latency, activeConnections } = AppState.charts;
+  if (!requestRate && !latency && !activeConnections) return;
+
+  const series = buildHistorySeries(HISTORY_WINDOWS[AppState.historyWindow]);
+  const labels = series.map(point => formatHistoryLabel(point.t));
+
+  if (requestRate) {
+    requestRate.data.labels = labels;
+    requestRate.data.datasets[0].data = series.map(point => point.requestRate);
+    requestRate.data.datasets[1].data = series.map(point => point.errorRate);
+    requestRate.update();
+  }
+
+  if (latency) {
+    latency.data.labels = labels;
+    latency.data.datasets[0].data = series.map(point => point.p50);
+    latency.data.datasets[1].data = series.map(point => point.p95);
+    latency.update();
+  }
+
+  if (activeConnections) {
+    activeConnections.data.labels = labels;
+    activeConnections.data.datasets[0].data = series.map(point => point.activeConnections);
+    activeConnections.update();
+  }
+}
+
+function formatHistoryLabel(timestamp) {
+  const date = new Date(timestamp);
+  return AppState.historyWindow === '24h'
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleTimeString();
+}
+
+// ============================================================================
+// Metrics History
+// ============================================================================
+
+const CHART_PALETTE = ['#1FB8CD', '#FFC185', '#B4413C', '#5D878F', '#D2BA4C', '#964325', '#944454', '#13343B'];
+
+const HISTORY_WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+};
+// Samples older than the longest window are evicted, and samples closer
+// together than the resolution are merged on insert, so live pushes every 2 s
+// and any refresh rate still fill 24 hours with at most ~17k samples
+const HISTORY_SPAN_MS = HISTORY_WINDOWS['24h'];
+const HISTORY_RESOLUTION_MS = 5000;
+// Longer windows are averaged into at most this many points before charting
+const HISTORY_MAX_POINTS = 300;
+// Trailing span used to estimate p50/p95 when the server does not report them
+const LATENCY_PERCENTILE_SPAN_MS = 60 * 1000;
+
+/**
+ * Time-ordered buffer of `{ t, ... }` items covering the last `spanMs`. While
+ * the newest item is less than `resolutionMs` after the one before it, a push
+ * replaces it, so the latest values are kept without growing the buffer.
+ */
+function createTimeSeriesBuffer(spanMs, resolutionMs) {
+  let items = [];
+  let start = 0;
+
+  return {
+    push(item) {
+      const size = items.length - start;
+      if (size >= 2 && items[items.length - 1].t - items[items.length - 2].t < resolutionMs) {
+        items[items.length - 1] = item;
+      } else {
+        items.push(item);
+      }
+      while (items[start].t < item.t - spanMs) start += 1;
+      // Compact once the evicted head outgrows the live part
+      if (start > 1024 && start > items.length - start) {
+        items = items.slice(start);
+        start = 0;
+      }
+    },
+    toArray() {
+      return items.slice(start);
+    },
+    clear() {
+      items = [];
+      start = 0;
+    },
+    get size() {
+      return items.length - start;
+    },
+  };
+}
+
+const MetricsHistory = createTimeSeriesBuffer(HISTORY_SPAN_MS, HISTORY_RESOLUTION_MS);
+
+function recordMetricsSample(metrics) {
+  const now = dataNow();
+  MetricsHistory.push({
+    t: now,
+    total_requests: metrics.total_requests,
+    failed_requests: metrics.failed_requests,
+    active_connections: metrics.active_connections,
+    average_response_time: metrics.average_response_time,
+    p50_response_time: metrics.p50_response_time,
+    p95_response_time: metrics.p95_response_time,
+  });
+  updateHistoryCharts();
+  evaluateAlertRules(metrics, now);
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Turns raw samples inside the window into chartable points: request rate
+ * and error rate from counter deltas, latency percentiles and active
+ * connections, downsampled to HISTORY_MAX_POINTS.
+ */
+function buildHistorySeries(windowMs) {
+  const samples = MetricsHistory.toArray();
+  const cutoff = dataNow() - windowMs;
+  const points = [];
+
+  samples.forEach((sample, index) => {
+    if (sample.t < cutoff) return;
+    const previous = samples[index - 1];
+    const point = {
+      t: sample.t,
+      requestRate: null,
+      errorRate: null,
+      p50: sample.p50_response_time,
+      p95: sample.p95_response_time,
+      activeConnections: sample.active_connections,
+    };
+
+    if (previous && sample.total_requests != null && previous.total_requests != null) {
+      const requests = sample.total_requests - previous.total_requests;
+      const minutes = (sample.t - previous.t) / 60000;
+      // A negative delta means the server restarted and its counters reset
+      if (requests >= 0 && minutes > 0) {
+        point.requestRate = requests / minutes;
+        if (sample.failed_requests != null && previous.failed_requests != null) {
+          const failures = sample.failed_requests - previous.failed_requests;
+          point.errorRate = requests > 0 ? Math.max(0, failures) / requests * 100 : 0;
+        }
+      }
+    }
+
+    if (point.p50 == null || point.p95 == null) {
+      const recent = [];
+      for (let i = index; i >= 0 && samples[i].t >= sample.t - LATENCY_PERCENTILE_SPAN_MS; i--) {
+        if (samples[i].average_response_time != null) recent.push(samples[i].average_response_time);
+      }
+      if (point.p50 == null) point.p50 = percentile(recent, 0.5);
+      if (point.p95 == null) point.p95 = percentile(recent, 0.95);
+    }
+
+    points.push(point);
+  });
+
+  return downsampleSeries(points, HISTORY_MAX_POINTS);
+}
+
+function downsampleSeries(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+
+  const bucketSize = Math.ceil(points.length / maxPoints);
+  const result = [];
+  for (let i = 0; i < points.length; i += bucketSize) {
+    const bucket = points.slice(i, i + bucketSize);
+    const merged = { t: bucket[bucket.length - 1].t };
+    ['requestRate', 'errorRate', 'p50', 'p95', 'activeConnections'].forEach(key => {
+      const values = bucket.map(point => point[key]).filter(value => value != null);
+      merged[key] = values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    });
+    result.push(merged);
+  }
+  return result;
+}
+
+// ============================================================================
+// Alerting
+// ============================================================================
+
+// Values a rule can watch. `read` receives the canonical metrics and the
+// latest derived history point (rates and latency percentiles).
+const AlertSignals = {
+  error_rate: {
+    label: 'Error rate (%)',
+    read: (metrics, latest) => latest && latest.errorRate,
+  },
+  request_rate: {
+    label: 'Requests / min',
+    read: (metrics, latest) => latest && latest.requestRate,
+  },
+  average_response_time: {
+    label: 'Avg response time (ms)',
+    read: metrics => metrics.average_response_time,
+  },
+  p95_response_time: {
+    label: 'p95 latency (ms)',
+    read: (metrics, latest) => latest && latest.p95,
+  },
+  active_connections: {
+    label: 'Active connections',
+    read: metrics => metrics.active_connections,
+  },
+  redis_status: {
+    label: 'Redis status',
+    type: 'string',
+    read: metrics => metrics.redis_status,
+  },
+  server_status: {
+    label: 'Server status',
+    type: 'string',
+    read: metrics => metrics.server_status,
+  },
+};
+
+const ALERT_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const ALERT_HISTORY_LIMIT = 100;
+
+// Seeded when no rules are saved; users can add, disable or remove them in the Alerts section
+const DefaultAlertRules = [
+  { name: 'High error rate', signal: 'error_rate', operator: '>', threshold: 5, resolveThreshold: 3, forSeconds: 120, severity: 'critical' },
+  { name: 'Redis disconnected', signal: 'redis_status', operator: '==', threshold: 'disconnected', forSeconds: 0, severity: 'critical' },
+  { name: 'No active connections', signal: 'active_connections', operator: '==', threshold: 0, forSeconds: 60, severity: 'warning' },
+  { name: 'Slow responses', signal: 'average_response_time', operator: '>', threshold: 1000, resolveThreshold: 800, forSeconds: 60, severity: 'warning' },
+];
+
+/**
+ * Normalizes a rule definition. `forSeconds` is how long the condition must
+ * hold before firing; once firing, the alert resolves only after the value
+ * has been back past `resolveThreshold` (or simply out of breach when unset)
+ * for `clearSeconds`.
+ */
+function createAlertRule(definition) {
+  const signal = AlertSignals[definition.signal];
+  const parseThreshold = value => {
+    if (value === '' || value == null) return null;
+    return signal.type === 'string' ? String(value) : Number(value);
+  };
+
+  return {
+    id: definition.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: definition.name || `${signal.label} ${definition.operator} ${definition.threshold}`,
+    signal: definition.signal,
+    operator: definition.operator,
+    threshold: parseThreshold(definition.threshold),
+    resolveThreshold: parseThreshold(definition.resolveThreshold),
+    forSeconds: Number(definition.forSeconds) || 0,
+    clearSeconds: definition.clearSeconds != null ? Number(definition.clearSeconds) : 30,
+    severity: definition.severity || 'warning',
+    enabled: definition.enabled !== false,
+    silencedUntil: definition.silencedUntil || null,
+  };
+}
+
+function compareAlertValue(value, operator, threshold) {
+  if (value == null || threshold == null) return false;
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+}
+
+function isRuleSilenced(rule, now = dataNow()) {
+  return rule.silencedUntil != null && rule.silencedUntil > now;
+}
+
+function evaluateAlertRules(metrics, now = dataNow()) {
+  const series = buildHistorySeries(HISTORY_WINDOWS['5m']);
+  const latest = series[series.length - 1];
+
+  AppState.alertRules.forEach(rule => {
+    const state = AppState.alertStates[rule.id] ||
+      (AppState.alertStates[rule.id] = { status: 'ok', breachSince: null, clearSince: null, value: null });
+
+    if (!rule.enabled) {
+      if (state.status === 'firing') resolveAlert(rule, state, now);
+      Object.assign(state, { status: 'ok', breachSince: null, clearSince: null });
+      return;
+    }
+
+    const value = AlertSignals[rule.signal].read(metrics, latest);
+    state.value = value;
+    const breaching = compareAlertValue(value, rule.operator, rule.threshold);
+
+    if (state.status !== 'firing') {
+      if (!breaching) {
+        Object.assign(state, { status: 'ok', breachSince: null });
+        return;
+      }
+      if (state.breachSince == null) state.breachSince = now;
+      if (now - state.breachSince >= rule.forSeconds * 1000) {
+        fireAlert(rule, state, now);
+      } else {
+        state.status = 'pending';
+      }
+      return;
+    }
+
+    // Firing: an unknown value never counts as recovery
+    const resolveThreshold = rule.resolveThreshold != null ? rule.resolveThreshold : rule.threshold;
+    const recovered = value != null && !compareAlertValue(value, rule.operator, resolveThreshold);
+    if (!recovered) {
+      state.clearSince = null;
+      return;
+    }
+    if (state.clearSince == null) state.clearSince = now;
+    if (now - state.clearSince >= rule.clearSeconds * 1000) {
+      resolveAlert(rule, state, now);
+    }
+  });
+
+  renderAlerts();
+}
+
+function fireAlert(rule, state, now) {
+  Object.assign(state, { status: 'firing', clearSince: null });
+  const alert = {
+    id: `${rule.id}-${now}`,
+    ruleId: rule.id,
+    name: rule.name,
+    severity: rule.severity,
+    status: 'firing',
+    value: state.value,
+    condition: `${AlertSignals[rule.signal].label} ${rule.operator} ${rule.threshold}`,
+    firedAt: now,
+    resolvedAt: null,
+    acknowledged: false,
+  };
+  AppState.alerts.unshift(alert);
+  if (AppState.alerts.length > ALERT_HISTORY_LIMIT) {
+    AppState.alerts = AppState.alerts.filter((item, index) =>
+      item.status === 'firing' || index < ALERT_HISTORY_LIMIT);
+  }
+
+  if (!isRuleSilenced(rule, now)) {
+    notifyAlert(alert);
+  }
+}
+
+function resolveAlert(rule, state, now) {
+  Object.assign(state, { status: 'ok', breachSince: null, clearSince: null });
+  const alert = AppState.alerts.find(item => item.ruleId === rule.id && item.status === 'firing');
+  if (alert) {
+    alert.status = 'resolved';
+    alert.resolvedAt = now;
+  }
+}
+
+function notifyAlert(alert) {
+  // Alerts raised while replaying a recorded session are history, not news
+  if (SessionReplay.session) return;
+  if (!AppState.browserNotifications || typeof Notification === 'undefined') return;
+  if (Notification.permission !== 'granted') return;
+  new Notification(`[${alert.severity.toUpperCase()}] ${alert.name}`, {
+    body: `${alert.condition} (current: ${formatAlertValue(alert.value)})`,
+    tag: alert.ruleId,
+  });
+}
+
+async function setBrowserNotifications(enabled) {
+  if (!enabled || typeof Notification === 'undefined') {
+    AppState.browserNotifications = false;
+    return false;
+  }
+  const permission = Notification.permission === 'default'
+    ? await Notification.requestPermission()
+    : Notification.permission;
+  AppState.browserNotifications = permission === 'granted';
+  return AppState.browserNotifications;
+}
+
+function acknowledgeAlert(alertId) {
+  const alert = AppState.alerts.find(item => item.id === alertId);
+  if (alert) alert.acknowledged = true;
+  renderAlerts();
+}
+
+function silenceAlertRule(ruleId, minutes) {
+  const rule = AppState.alertRules.find(item => item.id === ruleId);
+  if (!rule) return;
+  // Alert times follow the replayed clock during a session replay
+  rule.silencedUntil = minutes > 0 ? dataNow() + minutes * 60000 : null;
+  persistSettings();
+  renderAlerts();
+}
+
+function formatAlertValue(value) {
+  if (value == null) return '--';
+  return typeof value === 'number' ? Number(value.toFixed(2)).toString() : value;
+}
+
+function renderAlerts() {
+  const firing = AppState.alerts.filter(alert => alert.status === 'firing');
+  const unacknowledged = firing.filter(alert => !alert.acknowledged).length;
+
+  const badge = document.getElementById('alertsBadge');
+  badge.textContent = unacknowledged;
+  badge.hidden = unacknowledged === 0;
+
+  renderAlertList('alertsFiring', firing, 'No alerts firing');
+  renderAlertList('alertsResolved',
+    AppState.alerts.filter(alert => alert.status === 'resolved'), 'No resolved alerts');
+  renderAlertRules();
+}
+
+function renderAlertList(containerId, alerts, emptyText) {
+  const container = document.getElementById(containerId);
+  if (alerts.length === 0) {
+    setHtml(container, html`<div class="alert-empty">${emptyText}</div>`);
+    return;
+  }
+
+  setHtml(container, alerts.map(alert => {
+    const rule = AppState.alertRules.find(item => item.id === alert.ruleId);
+    const silenced = rule && isRuleSilenced(rule);
+    const timing = alert.status === 'firing'
+      ? `Firing since ${new Date(alert.firedAt).toLocaleTimeString()}`
+      : `${new Date(alert.firedAt).toLocaleTimeString()} – ${new Date(alert.resolvedAt).toLocaleTimeString()}`;
+    const actions = alert.status === 'firing' && html`
+        <div class="alert-actions">
+          ${alert.acknowledged ? html`<span class="alert-tag">Acknowledged</span>`
+            : html`<button class="btn btn-secondary btn-small" data-ack="${alert.id}">Acknowledge</button>`}
+          ${silenced ? html`<span class="alert-tag">Silenced until ${new Date(rule.silencedUntil).toLocaleTimeString()}</span>`
+            : html`<button class="btn btn-secondary btn-small" data-silence="${alert.ruleId}">Silence 1h</button>`}
+        </div>`;
+
+    return html`
+      <div class="alert-item alert-${alert.severity} ${alert.status}">
+        <div class="alert-main">
+          <span class="alert-severity">${alert.severity}</span>
+          <span class="alert-name">${alert.name}</span>
+          <span class="alert-condition">${alert.condition} (value: ${formatAlertValue(alert.value)})</span>
+          <span class="alert-time">${timing}</span>
+        </div>
+        ${actions}
+      </div>
+    `;
+  }));
+}
+
+function renderAlertRules() {
+  const tbody = document.getElementById('alertRulesBody');
+  if (AppState.alertRules.length === 0) {
+    setHtml(tbody, html`<tr><td colspan="6" class="text-center">No rules defined</td></tr>`);
+    return;
+  }
+
+  setHtml(tbody, AppState.alertRules.map(rule => {
+    const state = AppState.alertStates[rule.id] || { status: 'ok', value: null };
+    const condition = `${AlertSignals[rule.signal].label} ${rule.operator} ${rule.threshold}` +
+      (rule.resolveThreshold != null ? ` (resolves at ${rule.resolveThreshold})` : '');
+    const status = !rule.enabled ? 'disabled' : state.status;
+
+    return html`
+      <tr>
+        <td>${rule.name}</td>
+        <td>${condition}</td>
+        <td>${rule.forSeconds}s</td>
+        <td><span class="alert-state ${status}">${status}</span></td>
+        <td>${formatAlertValue(state.value)}</td>
+        <td class="alert-rule-actions">
+          <label class="toggle-label"><input type="checkbox" data-toggle-rule="${rule.id}" ${rule.enabled && 'checked'}> On</label>
+          <button class="btn btn-secondary btn-small" data-delete-rule="${rule.id}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }));
+}
+
+function addAlertRuleFromForm() {
+  const definition = {
+    name: document.getElementById('alertRuleName').value.trim(),
+    signal: document.getElementById('alertRuleSignal').value,
+    operator: document.getElementById('alertRuleOperator').value,
+    threshold: document.getElementById('alertRuleThreshold').value.trim(),
+    resolveThreshold: document.getElementById('alertRuleResolve').value.trim(),
+    forSeconds: document.getElementById('alertRuleFor').value,
+    severity: document.getElementById('alertRuleSeverity').value,
+  };
+  if (definition.threshold === '') return;
+
+  AppState.alertRules.push(createAlertRule(definition));
+  persistSettings();
+  document.getElementById('alertRuleForm').reset();
+  renderAlerts();
+}
+
+function initializeAlerting() {
+  setHtml(document.getElementById('alertRuleSignal'), Object.entries(AlertSignals)
+    .map(([key, signal]) => html`<option value="${key}">${signal.label}</option>`));
+  setHtml(document.getElementById('alertRuleOperator'), ALERT_OPERATORS
+    .map(operator => html`<option value="${operator}">${operator}</option>`));
+
+  renderAlerts();
+}
+
+// ============================================================================
+// Data Refresh Functions
+// ============================================================================
+
+/**
+ * Fetches and normalizes one resource, recording whether it is fresh. On
+ * failure the previous data stays on screen and is flagged stale (or error
+ * when nothing was ever loaded). Returns null on failure.
+ */
+async function loadResource(kind, fetcher, context) {
+  try {
+    const data = normalizePayload(kind, await fetcher(), context);
+    if (data) markDataFresh(kind);
+    return data;
+  } catch (error) {
+    markDataFailed(kind, error);
+    return null;
+  }
+}
+
+function getDataStatus(kind) {
+  return AppState.dataStatus[kind] ||
+    (AppState.dataStatus[kind] = { status: 'idle', lastGood: null, error: null });
+}
+
+function markDataFresh(kind) {
+  Object.assign(getDataStatus(kind), { status: 'ok', lastGood: Date.now(), error: null });
+  renderDataStatus(kind);
+}
+
+function markDataFailed(kind, error) {
+  const entry = getDataStatus(kind);
+  entry.status = entry.lastGood ? 'stale' : 'error';
+  entry.error = error.message;
+  renderDataStatus(kind);
+  if (kind === 'metrics' && !(error instanceof AuthError)) updateServerStatus('offline');
+  console.warn(`Failed to load ${kind}:`, error);
+}
+
+// Cards declare their source with data-source="<kind>"; the status badge is drawn in CSS
+function renderDataStatus(kind) {
+  const entry = getDataStatus(kind);
+  document.querySelectorAll(`[data-source="${kind}"]`).forEach(element => {
+    if (entry.status === 'stale') {
+      element.dataset.status = 'stale';
+      element.dataset.statusText = `Stale · last good ${new Date(entry.lastGood).toLocaleTimeString()}`;
+      element.title = entry.error;
+    } else if (entry.status === 'error') {
+      element.dataset.status = 'error';
+      element.dataset.statusText = `Error · ${entry.error}`;
+      element.title = entry.error;
+    } else {
+      delete element.dataset.status;
+      delete element.dataset.statusText;
+      element.removeAttribute('title');
+    }
+  });
+}
+
+function resetDataStatus() {
+  Object.keys(AppState.dataStatus).forEach(kind => {
+    AppState.dataStatus[kind] = { status: 'idle', lastGood: null, error: null };
+    renderDataStatus(kind);
+  });
+}
+
+// Pass { metrics: false } when the live socket already pushes metrics
+async function refreshDashboard({ metrics: loadMetrics = true } = {}) {
+  const metrics = loadMetrics ? await loadResource('metrics', fetchMetrics) : AppState.metricsData;
+  if (metrics && loadMetrics) {
+    AppState.metricsData = metrics;
+    updateDashboardMetrics(metrics);
+    updateCharts(metrics);
+    recordMetricsSample(metrics);
+  }
+
+  // Tools load after metrics so their call counts can come from tool_usage
+  const tools = await loadResource('tools', fetchTools, {
+    toolUsage: metrics && metrics.tool_usage,
+  });
+  if (tools) {
+    AppState.toolsData = tools;
+    updateToolResponseChart(tools);
+  }
+  updateLastUpdate();
+}
+
+async function refreshHealth() {
+  const components = await loadResource('health', fetchHealthReport);
+  if (!components) return;
+  AppState.healthData = components;
+  updateHealthComponents(components);
+  updateLastUpdate();
+}
+
+async function refreshConnections() {
+  const connections = await loadResource('connections', fetchConnections);
+  if (!connections) return;
+  AppState.connectionsData = connections;
+  updateConnectionsTable(connections);
+  updateLastUpdate();
+  if (AppState.connectionDetail.id) loadConnectionDetail();
+}
+
+async function refreshTraces() {
+  const clientId = document.getElementById('traceClientFilter').value.trim();
+  const traces = await loadResource('traces', () => fetchTraces(clientId));
+  if (!traces) return;
+  AppState.tracesData = traces;
+  updateTracesTable(traces);
+  updateLastUpdate();
+  // A trace still in progress keeps growing until its last span ends
+  const { id, trace } = AppState.traceDetail;
+  if (id && (!trace || trace.duration_ms == null)) loadTraceDetail();
+}
+
+async function refreshTools() {
+  const tools = await loadResource('tools', fetchTools, {
+    toolUsage: AppState.metricsData && AppState.metricsData.tool_usage,
+  });
+  if (!tools) return;
+  AppState.toolsData = tools;
+  updateToolsGrid(tools);
+  updateToolResponseChart(tools);
+  renderPlaygroundTools();
+  updateLastUpdate();
+}
+
+async function refreshFleet() {
+  try {
+    const members = AppState.profiles.filter(profile => profile.inFleet);
+    const snapshots = await Promise.all(members.map(fetchInstanceSnapshot));
+    AppState.fleetData = snapshots;
+    updateFleetView(snapshots);
+    updateLastUpdate();
+  } catch (error) {
+    console.error('Error refreshing fleet:', error);
+  }
+}
+
+// The level filter is applied server-side; search runs client-side over loaded lines
+function buildLogParams(extra = {}) {
+  const params = new URLSearchParams({ limit: LOG_PAGE_SIZE, ...extra });
+  const level = document.getElementById('logLevelFilter').value;
+  if (level !== 'all') params.set('level', level);
+  return params;
+}
+
+// Cursor pages come from servers that support incremental log queries; anything
+// else (demo data, older servers) is a full snapshot that replaces the view
+function isLogPage(raw) {
+  return raw != null && !Array.isArray(raw) && 'cursor' in raw;
+}
+
+async function refreshLogs() {
+  const query = AppState.logQuery;
+  const tailing = query.cursor != null;
+  let page = null;
+
+  const logs = await loadResource('logs', async () => {
+    page = await fetchLogs(buildLogParams(tailing ? { since: query.cursor } : {}));
+    return page;
+  });
+  if (!logs) return;
+
+  if (!isLogPage(page)) {
+    Object.assign(query, { cursor: null, oldestId: null, hasOlder: false });
+    AppState.logsData = logs;
+    updateLogsContainer(logs);
+  } else if (tailing) {
+    query.cursor = page.cursor;
+    if (page.truncated) console.warn('Some log records were evicted on the server before they could be fetched');
+    appendLogEntries(logs);
+    // Catch up immediately rather than waiting a full refresh interval per page
+    if (page.has_more) setTimeout(refreshLogs, 0);
+  } else {
+    Object.assign(query, {
+      cursor: page.cursor,
+      oldestId: logs.length ? logs[0].id : null,
+      hasOlder: page.has_more,
+    });
+    AppState.logsData = logs;
+    updateLogsContainer(logs);
+  }
+  updateLastUpdate();
+}
+
+async function loadOlderLogs() {
+  const query = AppState.logQuery;
+  if (!query.hasOlder || query.oldestId == null) return;
+
+  const button = document.getElementById('loadOlderLogs');
+  button.disabled = true;
+  let page = null;
+  const logs = await loadResource('logs', async () => {
+    page = await fetchLogs(buildLogParams({ before: query.oldestId }));
+    return page;
+  });
+  button.disabled = false;
+  if (!logs || !isLogPage(page)) return;
+
+  query.hasOlder = page.has_more;
+  if (logs.length) query.oldestId = logs[0].id;
+  prependLogEntries(logs);
+  updateLoadOlderButton();
+}
+
+// Empties the view only; server-side logs are cleared through the admin action
+function clearLocalLogs() {
+  AppState.logsData = [];
+  LogView.pending = [];
+  // Cleared entries stay reachable through "Load older" when the server pages logs
+  if (AppState.logQuery.cursor != null) {
+    AppState.logQuery.oldestId = AppState.logQuery.cursor + 1;
+    AppState.logQuery.hasOlder = true;
+  }
+  updateLogsContainer([]);
+}
+
+// The level filter is applied server-side for cursor pages, so changing it starts over
+function resetLogQuery() {
+  AppState.logQuery = { cursor: null, oldestId: null, hasOlder: false };
+  LogView.pending = [];
+  LogView.unseen = 0;
+}
+
+// Fetches metrics purely to keep history and alert evaluation running while
+// a section that does not display metrics is open
+async function sampleMetrics() {
+  const metrics = await loadResource('metrics', fetchMetrics);
+  if (!metrics) return;
+  AppState.metricsData = metrics;
+  recordMetricsSample(metrics);
+}
+
+/**
+ * Reloads the open section. `pushed` lists the live topics currently arriving
+ * over the socket; their endpoints are skipped and everything else is fetched.
+ */
+async function refreshCurrentSection({ pushed = [] } = {}) {
+  switch (AppState.currentSection) {
+    case 'dashboard':
+      await refreshDashboard({ metrics: !pushed.includes('metrics') });
+      break;
+    case 'health':
+      await refreshHealth();
+      break;
+    case 'connections':
+      if (!pushed.includes('connections')) {
+        await refreshConnections();
+      } else if (AppState.connectionDetail.id) {
+        // Traffic counters and the timeline are not pushed
+        await loadConnectionDetail();
+      }
+      break;
+    case 'tools':
+      await refreshTools();
+      break;
+    case 'logs':
+      if (!pushed.includes('logs')) await refreshLogs();
+      break;
+    case 'traces':
+      await refreshTraces();
+      break;
+    case 'fleet':
+      await refreshFleet();
+      break;
+    case 'settings':
+      await refreshAuditLog();
+      break;
+  }
+
+  if (AppState.currentSection !== 'dashboard' && !pushed.includes('metrics')) {
+    await sampleMetrics();
+  }
+}
+
+function startAutoRefresh() {
+  if (AppState.refreshInterval) {
+    clearInterval(AppState.refreshInterval);
+  }
+  
+  if (AppState.autoRefresh) {
+    AppState.refreshInterval = setInterval(() => {
+      // A session replay refreshes as its playhead passes recorded responses
+      if (SessionReplay.session) return;
+      // While the live socket is up only the topics it pushes are left out
+      refreshCurrentSection({ pushed: AppState.live.status === 'open' ? getLiveTopics() : [] });
+    }, AppState.refreshRate);
+  }
+}
+
+function stopAutoRefresh() {
+  if (AppState.refreshInterval) {
+    clearInterval(AppState.refreshInterval);
+    AppState.refreshInterval = null;
+  }
+}
+
+// ============================================================================
+// Live Updates (WebSocket push)
+// ============================================================================
+
+const LIVE_TOPICS = ['metrics', 'logs', 'connections'];
+const LIVE_RECONNECT_BASE_MS = 1000;
+const LIVE_RECONNECT_MAX_MS = 30000;
+
+function buildSocketUrl(clientId, query = {}) {
+  const base = AppState.apiEndpoint.replace(/^http/, 'ws').replace(/\/$/, '');
+  const params = new URLSearchParams(query);
+  // Browsers cannot set headers on a WebSocket handshake, so the token rides in the query
+  if (AppState.auth.type !== 'none' && AppState.auth.token) params.set('token', AppState.auth.token);
+  return `${base}/ws/${encodeURIComponent(clientId)}?${params}`;
+}
+
+// Pushed metrics come from /api/metrics, so a profile reading /metrics polls instead
+function getLiveTopics() {
+  return AppState.metricsSource === 'prometheus'
+    ? LIVE_TOPICS.filter(topic => topic !== 'metrics')
+    : LIVE_TOPICS;
+}
+
+function getLiveSocketUrl() {
+  return buildSocketUrl(AppState.live.clientId, { role: 'dashboard' });
+}
+
+function startLiveUpdates() {
+  const live = AppState.live;
+  if (AppState.demoMode || SessionReplay.session || typeof WebSocket === 'undefined') return;
+  if (live.socket) return;
+
+  clearTimeout(live.reconnectTimer);
+  live.reconnectTimer = null;
+
+  let socket;
+  try {
+    socket = new WebSocket(getLiveSocketUrl());
+  } catch (error) {
+    console.warn('Live updates unavailable:', error);
+    scheduleLiveReconnect();
+    return;
+  }
+
+  live.socket = socket;
+  setLiveStatus('connecting');
+
+  socket.addEventListener('open', () => {
+    live.retryAttempt = 0;
+    setLiveStatus('open');
+    socket.send(JSON.stringify({ type: 'subscribe', payload: { topics: getLiveTopics() } }));
+    // Resync once so nothing missed while disconnected is lost
+    refreshCurrentSection();
+  });
+
+  socket.addEventListener('message', (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      recordSessionEntry({ type: 'event', message });
+      handleLiveMessage(message);
+    } catch (error) {
+      console.warn('Ignoring malformed live message:', error);
+    }
+  });
+
+  socket.addEventListener('close', () => {
+    if (live.socket !== socket) return;
+    live.socket = null;
+    setLiveStatus('closed');
+    scheduleLiveReconnect();
+  });
+}
+
+function stopLiveUpdates() {
+  const live = AppState.live;
+  clearTimeout(live.reconnectTimer);
+  live.reconnectTimer = null;
+  live.retryAttempt = 0;
+  if (live.socket) {
+    const socket = live.socket;
+    live.socket = null;
+    socket.close();
+  }
+  setLiveStatus('idle');
+}
+
+function restartLiveUpdates() {
+  stopLiveUpdates();
+  startLiveUpdates();
+}
+
+function scheduleLiveReconnect() {
+  const live = AppState.live;
+  if (AppState.demoMode) return;
+  const delay = backoffDelay(live.retryAttempt, LIVE_RECONNECT_BASE_MS, LIVE_RECONNECT_MAX_MS);
+  live.retryAttempt += 1;
+  live.reconnectTimer = setTimeout(startLiveUpdates, delay);
+}
+
+function setLiveStatus(status) {
+  AppState.live.status = status;
+  const indicator = document.getElementById('liveIndicator');
+  if (!indicator) return;
+  const labels = { open: 'Live', connecting: 'Connecting', closed: 'Polling', idle: 'Polling' };
+  indicator.textContent = labels[status];
+  indicator.className = `live-indicator ${status}`;
+}
+
+function handleLiveMessage(message) {
+  switch (message.type) {
+    case 'metrics_update':
+      applyLiveMetrics(message.payload);
+      break;
+    case 'log_entry':
+      applyLiveLog(message.payload);
+      break;
+    case 'connection_event':
+      applyLiveConnectionEvent(message.payload);
+      break;
+  }
+  updateLastUpdate();
+}
+
+function applyLiveMetrics(payload) {
+  const metrics = normalizePayload('metrics', payload);
+  if (!metrics) return;
+  markDataFresh('metrics');
+  AppState.metricsData = metrics;
+  updateDashboardMetrics(metrics);
+  updateCharts(metrics);
+  recordMetricsSample(metrics);
+
+  // Tool call counts ride along with metrics, so keep the tool cards current too
+  if (metrics.tool_usage && AppState.toolsData.length > 0) {
+    AppState.toolsData.forEach(tool => {
+      if (tool.name in metrics.tool_usage) tool.call_count = metrics.tool_usage[tool.name];
+    });
+    if (AppState.currentSection === 'tools') updateToolsGrid(AppState.toolsData);
+    updateToolResponseChart(AppState.toolsData);
+  }
+}
+
+function applyLiveLog(payload) {
+  const query = AppState.logQuery;
+  // Only extend a tail we already hold; otherwise the next fetch picks it up
+  if (query.cursor == null || payload.id == null || payload.id <= query.cursor) return;
+  const logs = normalizePayload('logs', { logs: [payload], cursor: payload.id });
+  if (!logs) return;
+  query.cursor = payload.id;
+  appendLogEntries(logs);
+}
+
+function applyLiveConnectionEvent(payload) {
+  const at = new Date(payload.timestamp * 1000).toISOString();
+  const existing = AppState.connectionsData.find(conn => conn.id === payload.id);
+
+  if (payload.action === 'opened') {
+    if (existing) {
+      Object.assign(existing, { status: 'connected', connected_at: at, duration_seconds: 0 });
+    } else {
+      AppState.connectionsData.push({
+        id: payload.id,
+        connected_at: at,
+        duration_seconds: 0,
+        status: 'connected',
+        tools_used: [],
+      });
+    }
+  } else if (payload.action === 'initialized' && existing) {
+    Object.assign(existing, { protocol_version: payload.protocol_version, client_info: payload.client_info });
+  } else if (payload.action === 'closed' && existing) {
+    existing.status = 'disconnected';
+    if (existing.connected_at) {
+      existing.duration_seconds = Math.max(0, Math.floor(
+        (new Date(at).getTime() - new Date(existing.connected_at).getTime()) / 1000
+      ));
+    }
+  }
+
+  if (AppState.currentSection === 'connections') updateConnectionsTable(AppState.connectionsData);
+  if (payload.id === AppState.connectionDetail.id) loadConnectionDetail();
+}
+
+// ============================================================================
+// Settings Persistence and Server Profiles
+// ============================================================================
+
+const SETTINGS_STORAGE_KEY = 'mcp-tavily-dashboard:settings';
+const SETTINGS_VERSION = 1;
+
+// Storage backends share a load()/save() interface so the store does not care
+// where settings live. localStorage can be missing or throw (private mode,
+// sandboxed iframes), in which case settings last for the session only.
+function createLocalStorageBackend() {
+  try {
+    const probeKey = `${SETTINGS_STORAGE_KEY}:probe`;
+    window.localStorage.setItem(probeKey, '1');
+    window.localStorage.removeItem(probeKey);
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    name: 'localStorage',
+    load() {
+      const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    },
+    save(data) {
+      window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(data));
+    },
+  };
+}
+
+function createMemoryBackend() {
+  let stored = null;
+  return {
+    name: 'memory',
+    load() {
+      return stored ? JSON.parse(stored) : null;
+    },
+    save(data) {
+      stored = JSON.stringify(data);
+    },
+  };
+}
+
+const SettingsStore = {
+  backend: null,
+};
+
+function createProfile(overrides = {}) {
+  return {
+    id: overrides.id || `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: overrides.name || 'Local',
+    apiEndpoint: overrides.apiEndpoint || 'http://localhost:8000',
+    refreshRate: Number(overrides.refreshRate) || 5000,
+    inFleet: overrides.inFleet !== false,
+    metricsSource: overrides.metricsSource === 'prometheus' ? 'prometheus' : 'api',
+    auth: {
+      type: 'none',
+      token: '',
+      headerName: 'X-API-Key',
+      ...(overrides.auth || {}),
+    },
+  };
+}
+
+function getActiveProfile() {
+  return AppState.profiles.find(profile => profile.id === AppState.activeProfileId) || AppState.profiles[0];
+}
+
+function serializeSettings({ includeSecrets = true } = {}) {
+  return {
+    version: SETTINGS_VERSION,
+    theme: AppState.theme,
+    demoMode: AppState.demoMode,
+    demo: { ...AppState.demo },
+    autoRefresh: AppState.autoRefresh,
+    activeProfileId: AppState.activeProfileId,
+    profiles: AppState.profiles.map(profile => ({
+      ...profile,
+      auth: includeSecrets ? { ...profile.auth } : { ...profile.auth, token: '' },
+    })),
+    activeLayoutId: AppState.activeLayoutId,
+    dashboardLayouts: AppState.dashboardLayouts.map(layout => ({
+      ...layout,
+      widgets: layout.widgets.map(widget => ({ ...widget })),
+    })),
+    alertRules: AppState.alertRules.map(rule => ({ ...rule })),
+  };
+}
+
+function persistSettings() {
+  try {
+    SettingsStore.backend.save(serializeSettings());
+  } catch (error) {
+    console.warn('Could not save settings:', error);
+  }
+}
+
+/**
+ * Validates a settings object from storage or an imported file. Unknown keys
+ * are dropped and missing ones fall back to defaults; throws if the object
+ * is not a settings file at all.
+ */
+function sanitizeSettings(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) {
+    throw new Error('Not a dashboard settings file (missing profiles)');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    throw new Error(`Settings version ${data.version} is newer than supported (${SETTINGS_VERSION})`);
+  }
+
+  const profiles = data.profiles
+    .filter(profile => profile && typeof profile.apiEndpoint === 'string')
+    .map(createProfile);
+  return {
+    theme: ['auto', 'light', 'dark'].includes(data.theme) ? data.theme : 'auto',
+    demoMode: data.demoMode !== false,
+    demo: sanitizeDemoSettings(data.demo),
+    autoRefresh: data.autoRefresh !== false,
+    activeProfileId: data.activeProfileId,
+    profiles,
+    activeLayoutId: data.activeLayoutId,
+    dashboardLayouts: Array.isArray(data.dashboardLayouts)
+      ? data.dashboardLayouts.filter(layout => layout && Array.isArray(layout.widgets)).map(createLayout)
+      : [],
+    // null when the file predates saved rules, so the defaults still apply
+    alertRules: Array.isArray(data.alertRules) ? data.alertRules.filter(isValidAlertRule).map(createAlertRule) : null,
+  };
+}
+
+function isValidAlertRule(rule) {
+  return rule != null && typeof rule === 'object' &&
+    Object.hasOwn(AlertSignals, rule.signal) &&
+    ALERT_OPERATORS.includes(rule.operator) &&
+    rule.threshold != null && rule.threshold !== '' &&
+    (rule.severity == null || ['warning', 'critical'].includes(rule.severity)) &&
+    (typeof rule.id === 'string' || rule.id == null) &&
+    (typeof rule.name === 'string' || rule.name == null) &&
+    (rule.silencedUntil == null || Number.isFinite(rule.silencedUntil));
+}
+
+function sanitizeDemoSettings(demo = {}) {
+  const seed = Math.floor(Number(demo.seed));
+  return {
+    scenario: Object.hasOwn(DEMO_SCENARIOS, demo.scenario) ? demo.scenario : 'steady',
+    seed: seed >= 1 ? seed : 1,
+    speed: DEMO_SPEEDS.includes(demo.speed) ? demo.speed : 1,
+  };
+}
+
+function loadSettings() {
+  SettingsStore.backend = createLocalStorageBackend() || createMemoryBackend();
+
+  let settings = null;
+  try {
+    const stored = SettingsStore.backend.load();
+    if (stored) settings = sanitizeSettings(stored);
+  } catch (error) {
+    console.warn('Ignoring unreadable saved settings:', error);
+  }
+
+  if (settings) {
+    AppState.theme = settings.theme;
+    AppState.demoMode = settings.demoMode;
+    AppState.demo = settings.demo;
+    AppState.autoRefresh = settings.autoRefresh;
+    AppState.profiles = settings.profiles;
+    AppState.activeProfileId = settings.activeProfileId;
+    AppState.dashboardLayouts = settings.dashboardLayouts;
+    AppState.activeLayoutId = settings.activeLayoutId;
+  }
+  AppState.alertRules = settings && settings.alertRules
+    ? settings.alertRules
+    : DefaultAlertRules.map(createAlertRule);
+
+  if (AppState.profiles.length === 0) {
+    AppState.profiles = [createProfile({
+      apiEndpoint: AppState.apiEndpoint,
+      refreshRate: AppState.refreshRate,
+    })];
+  }
+  AppState.activeProfileId = getActiveProfile().id;
+  applyProfileSettings(getActiveProfile());
+
+  if (AppState.dashboardLayouts.length === 0) {
+    AppState.dashboardLayouts = createDefaultLayouts();
+  }
+  AppState.activeLayoutId = getActiveLayout().id;
+}
+
+function applyProfileSettings(profile) {
+  AppState.activeProfileId = profile.id;
+  AppState.apiEndpoint = profile.apiEndpoint;
+  AppState.refreshRate = profile.refreshRate;
+  AppState.auth = { ...profile.auth };
+  AppState.metricsSource = profile.metricsSource;
+}
+
+// Mirrors AppState into the header switcher and Settings form controls
+function syncSettingsControls() {
+  const options = AppState.profiles
+    .map(profile => html`<option value="${profile.id}">${profile.name}</option>`);
+  ['profileSwitcher', 'profileSelect'].forEach(id => {
+    const select = document.getElementById(id);
+    setHtml(select, options);
+    select.value = AppState.activeProfileId;
+  });
+
+  const profile = getActiveProfile();
+  document.getElementById('profileNameInput').value = profile.name;
+  document.getElementById('profileInFleetToggle').checked = profile.inFleet;
+  document.getElementById('apiEndpointInput').value = AppState.apiEndpoint;
+  document.getElementById('refreshRateSelect').value = String(AppState.refreshRate);
+  document.getElementById('metricsSourceSelect').value = AppState.metricsSource;
+  document.getElementById('authTypeSelect').value = AppState.auth.type;
+  document.getElementById('authTokenInput').value = AppState.auth.token;
+  document.getElementById('authHeaderInput').value = AppState.auth.headerName;
+  document.getElementById('authHeaderGroup').hidden = AppState.auth.type !== 'api-key';
+  document.getElementById('autoRefreshToggle').checked = AppState.autoRefresh;
+  document.getElementById('themeSelect').value = AppState.theme;
+  document.getElementById('demoModeToggle').checked = AppState.demoMode;
+  document.getElementById('demoScenarioSelect').value = AppState.demo.scenario;
+  document.getElementById('demoSeedInput').value = String(AppState.demo.seed);
+  document.getElementById('demoSpeedSelect').value = String(AppState.demo.speed);
+  renderDemoStatus();
+  document.getElementById('settingsStorageNote').textContent = SettingsStore.backend.name === 'localStorage'
+    ? 'Settings are saved in this browser.'
+    : 'Browser storage is unavailable; settings last until the page is closed. Use Export to keep them.';
+}
+
+function updateActiveProfile(changes) {
+  const profile = getActiveProfile();
+  Object.assign(profile, changes);
+  applyProfileSettings(profile);
+  persistSettings();
+}
+
+// Data from the previous server must not bleed into the new one's views
+function resetServerData() {
+  AppState.metricsData = null;
+  AppState.connectionsData = [];
+  AppState.toolsData = [];
+  AppState.logsData = [];
+  AppState.healthData = [];
+  AppState.tracesData = [];
+  AppState.traceDetail = { id: null, trace: null, spans: [], error: null };
+  resetLogQuery();
+  MetricsHistory.clear();
+  updateHistoryCharts();
+  resetDataStatus();
+  closeConnectionDrawer();
+  closePlaygroundSocket();
+  renderPlaygroundTools();
+}
+
+function switchProfile(profileId) {
+  const profile = AppState.profiles.find(item => item.id === profileId);
+  if (!profile || profile.id === AppState.activeProfileId) return;
+
+  applyProfileSettings(profile);
+  persistSettings();
+  syncSettingsControls();
+  resetServerData();
+  startAutoRefresh();
+  restartLiveUpdates();
+  refreshCurrentSection();
+}
+
+function addProfile() {
+  const source = getActiveProfile();
+  const profile = createProfile({
+    name: `${source.name} copy`,
+    apiEndpoint: source.apiEndpoint,
+    refreshRate: source.refreshRate,
+    auth: { ...source.auth, token: '' },
+  });
+  AppState.profiles.push(profile);
+  switchProfile(profile.id);
+}
+
+function deleteActiveProfile() {
+  if (AppState.profiles.length <= 1) return;
+  const profile = getActiveProfile();
+  if (!confirm(`Delete profile "${profile.name}"?`)) return;
+  AppState.profiles = AppState.profiles.filter(item => item.id !== profile.id);
+  AppState.activeProfileId = null;
+  switchProfile(AppState.profiles[0].id);
+}
+
+function exportSettings() {
+  const content = JSON.stringify(serializeSettings({ includeSecrets: false }), null, 2);
+  downloadFile('mcp-tavily-dashboard-settings.json', content, 'application/json');
+}
+
+// Imported profiles and dashboard layouts replace existing ones with the same
+// id and are added otherwise
+async function importSettings(file) {
+  const imported = sanitizeSettings(JSON.parse(await file.text()));
+  imported.profiles.forEach(profile => {
+    const index = AppState.profiles.findIndex(item => item.id === profile.id);
+    if (index >= 0) {
+      AppState.profiles[index] = profile;
+    } else {
+      AppState.profiles.push(profile);
+    }
+  });
+  imported.dashboardLayouts.forEach(layout => {
+    const index = AppState.dashboardLayouts.findIndex(item => item.id === layout.id);
+    if (index >= 0) {
+      AppState.dashboardLayouts[index] = layout;
+    } else {
+      AppState.dashboardLayouts.push(layout);
+    }
+  });
+  (imported.alertRules || []).forEach(rule => {
+    const index = AppState.alertRules.findIndex(item => item.id === rule.id);
+    if (index >= 0) {
+      AppState.alertRules[index] = rule;
+    } else {
+      AppState.alertRules.push(rule);
+    }
+  });
+  AppState.theme = imported.theme;
+  applyTheme(AppState.theme);
+  renderDashboardWidgets();
+  renderAlerts();
+
+  const target = AppState.profiles.find(profile => profile.id === imported.activeProfileId) || getActiveProfile();
+  AppState.activeProfileId = null;
+  switchProfile(target.id);
+  return imported.profiles.length;
+}
+
+// ============================================================================
+// Fleet Overview
+// ============================================================================
+
+const FLEET_REQUEST_TIMEOUT_MS = 5000;
+
+// One quick attempt per poll; the next fleet refresh is the retry
+function instanceRequestOptions(profile) {
+  return {
+    endpoint: profile.apiEndpoint,
+    auth: profile.auth,
+    timeout: FLEET_REQUEST_TIMEOUT_MS,
+    retries: 0,
+  };
+}
+
+function fetchInstanceJson(profile, path) {
+  return apiRequest(path, instanceRequestOptions(profile));
+}
+
+/**
+ * Polls one fleet member's health and metrics. Never rejects: failures are
+ * reported as an offline snapshot so one dead instance cannot hold up the
+ * rest of the fleet.
+ */
+async function fetchInstanceSnapshot(profile) {
+  const snapshot = {
+    profileId: profile.id,
+    name: profile.name,
+    endpoint: profile.apiEndpoint,
+    status: 'offline',
+    error: null,
+    latency: null,
+    metrics: null,
+    checkedAt: Date.now(),
+  };
+
+  if (AppState.demoMode) {
+    return { ...snapshot, status: 'online', latency: 0, metrics: normalizePayload('metrics', MockData.metrics) };
+  }
+
+  try {
+    const startTime = Date.now();
+    const [, rawMetrics] = await Promise.all([
+      fetchInstanceJson(profile, '/health'),
+      fetchMetricsFrom(profile.metricsSource, instanceRequestOptions(profile)),
+    ]);
+    snapshot.latency = Date.now() - startTime;
+    snapshot.metrics = normalizePayload('metrics', rawMetrics);
+    snapshot.status = 'online';
+  } catch (error) {
+    snapshot.error = error.message;
+    if (error instanceof AuthError) snapshot.status = 'unauthorized';
+  }
+  return snapshot;
+}
+
+function aggregateFleet(snapshots) {
+  const sum = field => {
+    const values = snapshots
+      .map(snapshot => snapshot.metrics && snapshot.metrics[field])
+      .filter(value => value != null);
+    return values.length ? values.reduce((total, value) => total + value, 0) : null;
+  };
+
+  return {
+    instances: snapshots.length,
+    online: snapshots.filter(snapshot => snapshot.status === 'online').length,
+    total_requests: sum('total_requests'),
+    failed_requests: sum('failed_requests'),
+    active_connections: sum('active_connections'),
+  };
+}
+
+function updateFleetView(snapshots) {
+  const totals = aggregateFleet(snapshots);
+  document.getElementById('fleetOnline').textContent = `${totals.online} / ${totals.instances}`;
+  document.getElementById('fleetTotalRequests').textContent = formatNumber(totals.total_requests);
+  document.getElementById('fleetFailedRequests').textContent = formatNumber(totals.failed_requests);
+  document.getElementById('fleetActiveConnections').textContent = formatNumber(totals.active_connections);
+
+  const tbody = document.getElementById('fleetTableBody');
+  if (snapshots.length === 0) {
+    setHtml(tbody, html`<tr><td colspan="8" class="text-center">No profiles are included in the fleet</td></tr>`);
+    return;
+  }
+
+  setHtml(tbody, snapshots.map(snapshot => {
+    const metrics = snapshot.metrics || {};
+    const isActive = snapshot.profileId === AppState.activeProfileId;
+    return html`
+      <tr class="fleet-row${isActive && ' active'}" data-profile-id="${snapshot.profileId}">
+        <td>${snapshot.name}</td>
+        <td>${snapshot.endpoint}</td>
+        <td><span class="status ${snapshot.status}" title="${snapshot.error || ''}">${snapshot.status}</span></td>
+        <td>${formatUptime(metrics.uptime_hours)}</td>
+        <td>${formatNumber(metrics.total_requests)}</td>
+        <td>${formatNumber(metrics.failed_requests)}</td>
+        <td>${formatNumber(metrics.active_connections)}</td>
+        <td>${formatMs(snapshot.latency)}</td>
+      </tr>
+    `;
+  }));
+}
+
+// Scopes the regular dashboard, health and logs sections to one instance
+function drillIntoInstance(profileId) {
+  switchProfile(profileId);
+  switchSection('dashboard');
+}
+
+// ============================================================================
+// Connection Details
+// ============================================================================
+
+// Demo stand-in for /api/connections/{id}, read from the demo simulator
+function buildMockConnectionDetail(id) {
+  const connection = DemoSimulator.connections.find(conn => conn.id === id);
+  if (!connection) throw new RequestError(`Unknown connection: ${id}`, { status: 404 });
+  return { connection: { ...connection }, timeline: [...DemoSimulator.timelines.get(id)] };
+}
+
+async function fetchConnectionDetail(id) {
+  const path = `/api/connections/${encodeURIComponent(id)}`;
+  const raw = await fetchApiData(path, () => buildMockConnectionDetail(id));
+  const connections = normalizePayload('connections', { connections: [raw.connection] });
+  const timeline = normalizePayload('timeline', raw);
+  if (!connections || !timeline) throw new RequestError('Unrecognized connection detail payload');
+  return { connection: connections[0], timeline };
+}
+
+function openConnectionDrawer(id) {
+  AppState.connectionDetail = { id, connection: null, timeline: [], error: null };
+  document.getElementById('connectionDrawer').hidden = false;
+  updateRoute();
+  renderConnectionDrawer();
+  loadConnectionDetail();
+}
+
+function closeConnectionDrawer() {
+  AppState.connectionDetail = { id: null, connection: null, timeline: [], error: null };
+  document.getElementById('connectionDrawer').hidden = true;
+  updateRoute({ replace: true });
+}
+
+async function loadConnectionDetail() {
+  const { id } = AppState.connectionDetail;
+  if (!id) return;
+
+  let detail = null;
+  let error = null;
+  try {
+    detail = await fetchConnectionDetail(id);
+  } catch (err) {
+    error = err;
+  }
+  // The drawer may have been closed or pointed at another connection meanwhile
+  if (AppState.connectionDetail.id !== id) return;
+
+  if (detail) {
+    AppState.connectionDetail = { id, ...detail, error: null };
+  } else {
+    AppState.connectionDetail.error = error.status === 404 ? 'This connection is no longer known to the server' : error.message;
+  }
+  renderConnectionDrawer();
+}
+
+function renderConnectionDrawer() {
+  const { id, connection, timeline, error } = AppState.connectionDetail;
+  document.getElementById('connectionDrawerTitle').textContent = id || 'Connection';
+  document.getElementById('connectionTraces').dataset.traceClient = id || '';
+  const disconnectButton = document.getElementById('disconnectConnection');
+  disconnectButton.disabled = !connection || connection.status !== 'connected';
+
+  const body = document.getElementById('connectionDrawerBody');
+  if (!connection) {
+    setHtml(body, error
+      ? html`<div class="playground-error">${error}</div>`
+      : html`<div class="alert-empty">Loading connection...</div>`);
+    return;
+  }
+
+  const toolCounts = Object.entries(connection.tool_counts || {}).sort((a, b) => b[1] - a[1]);
+  const summary = [
+    ['Status', html`<span class="status ${connection.status}">${connection.status || '--'}</span>`],
+    ['Connected', connection.connected_at ? new Date(connection.connected_at).toLocaleString() : '--'],
+    ['Disconnected', connection.disconnected_at ? new Date(connection.disconnected_at).toLocaleString() : '--'],
+    ['Duration', formatDuration(connection.duration_seconds)],
+    ['Remote address', connection.remote_address || '--'],
+    ['User agent', connection.user_agent || '--'],
+    ['Transport', connection.transport === 'http' ? 'Streamable HTTP' : connection.transport === 'websocket' ? 'WebSocket' : '--'],
+    ['Protocol', connection.protocol_version ? `MCP ${connection.protocol_version}` : 'Not initialized'],
+    ['Client', connection.client_info ? describeClient(connection) : '--'],
+    ['Capabilities', connection.client_capabilities
+      ? describeCapabilities(connection.client_capabilities).join(', ') || 'None declared'
+      : '--'],
+    ['Messages in / out', `${formatNumber(connection.messages_in)} / ${formatNumber(connection.messages_out)}`],
+    ['Bytes in / out', `${formatBytes(connection.bytes_in)} / ${formatBytes(connection.bytes_out)}`],
+    ['Errors', formatNumber(connection.error_count)],
+  ];
+
+  setHtml(body, html`
+    ${error && html`<div class="playground-error">Showing the last loaded state: ${error}</div>`}
+    <dl class="drawer-summary">
+      ${summary.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+    </dl>
+
+    <h4 class="drawer-heading">Tools used</h4>
+    ${toolCounts.length === 0
+      ? html`<div class="alert-empty">No tool calls yet</div>`
+      : html`<ul class="drawer-tools">${toolCounts.map(([tool, count]) =>
+        html`<li><span>${tool}</span><span>${formatNumber(count)}</span></li>`)}</ul>`}
+
+    <h4 class="drawer-heading">Timeline</h4>
+    ${timeline.length === 0
+      ? html`<div class="alert-empty">No events recorded</div>`
+      : html`<ol class="drawer-timeline">${[...timeline].reverse().map(renderTimelineEvent)}</ol>`}
+  `);
+}
+
+function renderTimelineEvent(event) {
+  const details = [
+    event.tool,
+    event.duration_ms != null && formatMs(event.duration_ms),
+    event.bytes != null && formatBytes(event.bytes),
+  ].filter(Boolean).join(' · ');
+
+  return html`
+    <li class="timeline-event timeline-${event.kind}">
+      <span class="timeline-time">${event.timestamp ? new Date(event.timestamp).toLocaleTimeString() : '--'}</span>
+      <span class="timeline-kind">${(event.kind || 'event').replace('_', ' ')}</span>
+      <span class="timeline-summary" title="${event.summary}">${event.summary}</span>
+      ${details && html`<span class="timeline-details">${details}</span>`}
+      ${event.trace_id && html`<button class="timeline-trace" data-trace-id="${event.trace_id}">View trace</button>`}
+    </li>
+  `;
+}
+
+async function disconnectSelectedConnection() {
+  const { id, connection } = AppState.connectionDetail;
+  if (!connection || connection.status !== 'connected') return;
+
+  try {
+    const result = await runAdminAction({
+      confirmText: `Disconnect ${id}? The client will have to reconnect.`,
+      path: `/api/admin/connections/${encodeURIComponent(id)}/disconnect`,
+      action: 'disconnect',
+      target: id,
+      demoEffect: () => {
+        disconnectDemoConnection(id);
+        return {};
+      },
+    });
+    if (!result) return;
+  } catch (error) {
+    AppState.connectionDetail.error = `Disconnect failed: ${error.message}`;
+    renderConnectionDrawer();
+    return;
+  }
+  await refreshConnections();
+}
+
+// ============================================================================
+// Traces
+// ============================================================================
+
+const TRACE_LIST_LIMIT = 50;
+// Spans too short to see still get a sliver of bar
+const WATERFALL_MIN_BAR_PERCENT = 0.5;
+
+async function fetchTraces(clientId) {
+  const params = new URLSearchParams({ limit: TRACE_LIST_LIMIT });
+  if (clientId) params.set('client_id', clientId);
+  return fetchApiData(`/api/traces?${params}`, () => {
+    const traces = MockData.traces.map(entry => entry.trace);
+    return { traces: clientId ? traces.filter(trace => trace.client_id === clientId) : traces };
+  });
+}
+
+async function fetchTraceDetail(id) {
+  const raw = await fetchApiData(`/api/traces/${encodeURIComponent(id)}`, () => {
+    const entry = MockData.traces.find(item => item.trace.trace_id === id);
+    if (!entry) throw new RequestError(`Unknown trace: ${id}`, { status: 404 });
+    return entry;
+  });
+  const traces = normalizePayload('traces', { traces: [raw.trace] });
+  const spans = normalizePayload('spans', raw);
+  if (!traces || !spans) throw new RequestError('Unrecognized trace payload');
+  return { trace: traces[0], spans };
+}
+
+function formatSpanMs(value) {
+  if (value == null) return 'running';
+  return value < 10 ? `${value.toFixed(1)}ms` : formatMs(value);
+}
+
+function updateTracesTable(traces) {
+  const tbody = document.getElementById('tracesTableBody');
+  if (traces.length === 0) {
+    setHtml(tbody, html`<tr><td colspan="6" class="text-center">No traces recorded</td></tr>`);
+    return;
+  }
+
+  setHtml(tbody, traces.map(trace => html`
+    <tr class="clickable-row trace-row${trace.trace_id === AppState.traceDetail.id && ' active'}" data-trace-id="${trace.trace_id}">
+      <td>${trace.started_at ? new Date(trace.started_at).toLocaleTimeString() : '--'}</td>
+      <td>${trace.name || '--'}</td>
+      <td>${trace.client_id || '--'}</td>
+      <td>${formatNumber(trace.span_count)}</td>
+      <td>${formatSpanMs(trace.duration_ms)}</td>
+      <td><span class="status ${trace.status === 'error' ? 'down' : 'ok'}">${trace.status || '--'}</span></td>
+    </tr>
+  `));
+}
+
+// Opens a trace in the Traces section, e.g. from a log line or timeline event
+function openTrace(traceId) {
+  AppState.traceDetail = { id: traceId, trace: null, spans: [], error: null };
+  closeConnectionDrawer();
+  if (AppState.currentSection === 'traces') {
+    updateTracesTable(AppState.tracesData);
+    updateRoute();
+  } else {
+    switchSection('traces');
+  }
+  renderTraceWaterfall();
+  loadTraceDetail();
+}
+
+// Lists only the traces started by one connection
+function showConnectionTraces(clientId) {
+  document.getElementById('traceClientFilter').value = clientId;
+  closeConnectionDrawer();
+  if (AppState.currentSection === 'traces') {
+    updateRoute();
+    refreshTraces();
+  } else {
+    switchSection('traces');
+  }
+}
+
+async function loadTraceDetail() {
+  const { id } = AppState.traceDetail;
+  if (!id) return;
+
+  let detail = null;
+  let error = null;
+  try {
+    detail = await fetchTraceDetail(id);
+  } catch (err) {
+    error = err;
+  }
+  if (AppState.traceDetail.id !== id) return;
+
+  if (detail) {
+    AppState.traceDetail = { id, ...detail, error: null };
+  } else {
+    AppState.traceDetail.error = error.status === 404
+      ? 'This trace is no longer kept by the server'
+      : error.message;
+  }
+  renderTraceWaterfall();
+}
+
+// Parents before children, siblings in start order, each with its nesting depth
+function orderSpans(spans) {
+  const known = new Set(spans.map(span => span.span_id));
+  const children = new Map();
+  spans.forEach(span => {
+    const parent = known.has(span.parent_id) ? span.parent_id : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(span);
+  });
+
+  const ordered = [];
+  const visit = (parentId, depth) => {
+    (children.get(parentId) || [])
+      .sort((a, b) => (a.offset_ms || 0) - (b.offset_ms || 0))
+      .forEach(span => {
+        ordered.push({ span, depth });
+        visit(span.span_id, depth + 1);
+      });
+  };
+  visit(null, 0);
+  return ordered;
+}
+
+function renderTraceWaterfall() {
+  const { id, trace, spans, error } = AppState.traceDetail;
+  const container = document.getElementById('traceWaterfall');
+  if (!id) {
+    setHtml(container, html`<div class="alert-empty">Select a trace, or open one from a log line or connection</div>`);
+    return;
+  }
+  if (!trace) {
+    setHtml(container, error
+      ? html`<div class="playground-error">${error}</div>`
+      : html`<div class="alert-empty">Loading trace...</div>`);
+    return;
+  }
+
+  const total = Math.max(
+    trace.duration_ms || 0,
+    ...spans.map(span => (span.offset_ms || 0) + (span.duration_ms || 0)),
+  ) || 1;
+
+  setHtml(container, html`
+    <div class="waterfall-header">
+      <div>
+        <h3>${trace.name || 'Trace'}</h3>
+        <span class="waterfall-id">${trace.trace_id}</span>
+      </div>
+      <div class="filter-controls">
+        ${trace.client_id && html`<button class="btn btn-secondary btn-small" data-trace-client="${trace.client_id}">Traces for ${trace.client_id}</button>`}
+        <button class="btn btn-secondary btn-small" data-trace-logs="${trace.trace_id}">Logs</button>
+      </div>
+    </div>
+    <dl class="drawer-summary">
+      <dt>Started</dt><dd>${trace.started_at ? new Date(trace.started_at).toLocaleString() : '--'}</dd>
+      <dt>Duration</dt><dd>${formatSpanMs(trace.duration_ms)}</dd>
+      <dt>Status</dt><dd><span class="status ${trace.status === 'error' ? 'down' : 'ok'}">${trace.status || '--'}</span></dd>
+    </dl>
+    ${error && html`<div class="playground-error">Showing the last loaded state: ${error}</div>`}
+    <ol class="waterfall">
+      ${orderSpans(spans).map(({ span, depth }) => renderWaterfallRow(span, depth, total))}
+    </ol>
+  `);
+
+  // Positions come from data attributes since the CSP forbids inline styles
+  container.querySelectorAll('.waterfall-name').forEach(name => {
+    name.style.paddingLeft = `calc(${name.dataset.depth} * var(--space-16))`;
+  });
+  container.querySelectorAll('.waterfall-bar').forEach(bar => {
+    bar.style.left = `${bar.dataset.offset}%`;
+    bar.style.width = `${bar.dataset.width}%`;
+  });
+}
+
+function renderWaterfallRow(span, depth, total) {
+  const offset = Math.min(100, (span.offset_ms || 0) / total * 100);
+  const width = span.duration_ms == null
+    ? 100 - offset
+    : Math.max(WATERFALL_MIN_BAR_PERCENT, Math.min(100 - offset, span.duration_ms / total * 100));
+  const details = [
+    ...Object.entries(span.attributes || {}).map(([key, value]) =>
+      `${key}: ${typeof value === 'number' && key.endsWith('_ms') ? formatSpanMs(value) : value}`),
+    span.error && `error: ${span.error}`,
+  ].filter(Boolean).join(' · ');
+
+  return html`
+    <li class="waterfall-row${span.status === 'error' && ' waterfall-error'}">
+      <span class="waterfall-name" data-depth="${depth}" title="${span.span_id}">${span.name}</span>
+      <span class="waterfall-track">
+        <span class="waterfall-bar" data-offset="${offset.toFixed(3)}" data-width="${width.toFixed(3)}"></span>
+      </span>
+      <span class="waterfall-duration">${formatSpanMs(span.duration_ms)}</span>
+      ${details && html`<span class="waterfall-details">${details}</span>`}
+    </li>
+  `;
+}
+
+// Switches to the log view filtered down to one trace's records
+function showTraceLogs(traceId) {
+  const input = document.getElementById('logSearch');
+  input.value = `trace:${traceId}`;
+  applyLogSearch();
+  switchSection('logs');
+}
+
+// ============================================================================
+// Admin Actions
+// ============================================================================
+
+// Demo mode keeps its own audit trail so the admin controls can be tried offline
+const demoAuditLog = [];
+
+/**
+ * Runs a confirm-guarded admin request against the active server. Resolves
+ * with the server's response, or null when the user cancelled; rejects with a
+ * readable message. Demo mode applies `demoEffect` to MockData instead.
+ */
+async function runAdminAction({ confirmText, method = 'POST', path, body, action, target = null, demoEffect }) {
+  if (!confirm(confirmText)) return null;
+
+  let result;
+  if (AppState.demoMode) {
+    result = demoEffect ? demoEffect() : {};
+    demoAuditLog.unshift({
+      id: demoAuditLog.length + 1,
+      timestamp: new Date().toISOString(),
+      actor: 'demo',
+      remote_address: null,
+      action,
+      target,
+      outcome: 'ok',
+      details: body || {},
+    });
+  } else {
+    try {
+      // Admin tokens can differ from the profile's, so a 403 here should not prompt to replace it
+      result = await apiRequest(path, { method, body, authPrompt: false });
+    } catch (error) {
+      throw new Error(error instanceof AuthError && error.detail ? error.detail : error.message);
+    }
+  }
+
+  if (AppState.currentSection === 'settings') refreshAuditLog();
+  return result || {};
+}
+
+function showAdminResult(elementId, message, ok) {
+  const element = document.getElementById(elementId);
+  element.textContent = message;
+  element.classList.remove('success', 'error');
+  element.classList.add(ok ? 'success' : 'error');
+}
+
+async function broadcastNotice() {
+  const message = document.getElementById('broadcastMessage').value.trim();
+  const level = document.getElementById('broadcastLevel').value;
+  if (!message) return;
+
+  try {
+    const result = await runAdminAction({
+      confirmText: `Send this ${level} notice to every connected client?\n\n${message}`,
+      path: '/api/admin/broadcast',
+      body: { message, level },
+      action: 'broadcast',
+      demoEffect: () => ({ delivered: MockData.connections.filter(conn => conn.status === 'connected').length }),
+    });
+    if (!result) return;
+    const relayed = result.other_workers ? ` and relayed to ${result.other_workers} other worker(s)` : '';
+    showAdminResult('broadcastResult', `Notice delivered to ${result.delivered} client(s)${relayed}.`, true);
+    document.getElementById('broadcastMessage').value = '';
+  } catch (error) {
+    showAdminResult('broadcastResult', `Broadcast failed: ${error.message}`, false);
+  }
+}
+
+async function clearServerLogs() {
+  try {
+    const result = await runAdminAction({
+      confirmText: 'Delete every buffered log record on the server? This cannot be undone.',
+      method: 'DELETE',
+      path: '/api/admin/logs',
+      action: 'clear_logs',
+      demoEffect: () => ({ cleared: MockData.logs.splice(0).length }),
+    });
+    if (!result) return;
+    clearLocalLogs();
+    // Older pages no longer exist on the server
+    AppState.logQuery.hasOlder = false;
+    updateLoadOlderButton();
+    showAdminResult('logsAdminResult', `Cleared ${result.cleared} log record(s) on the server.`, true);
+  } catch (error) {
+    showAdminResult('logsAdminResult', `Clearing server logs failed: ${error.message}`, false);
+  }
+}
+
+async function resetServerCounters() {
+  try {
+    const result = await runAdminAction({
+      confirmText: 'Reset the server\'s request and tool counters to zero?',
+      path: '/api/admin/reset-counters',
+      action: 'reset_counters',
+      demoEffect: () => {
+        resetDemoCounters();
+        return {};
       },
-      scales: {
-        y: {
-          beginAtZero: true,
-          ticks: {
-            color: getComputedStyle(document.documentElement)
-              .getPropertyValue('--color-text-secondary').trim()
-          },
-          grid: {
-            color: getComputedStyle(document.documentElement)
-              .getPropertyValue('--color-border').trim()
-          }
-        },
-        x: {
-          ticks: {
-            color: getComputedStyle(document.documentElement)
-              .getPropertyValue('--color-text-secondary').trim()
-          },
-          grid: {
-            display: false
-          }
-        }
+    });
+    if (!result) return;
+    showAdminResult('adminResult', 'Counters reset.', true);
+    MetricsHistory.clear();
+    await refreshDashboard();
+  } catch (error) {
+    showAdminResult('adminResult', `Reset failed: ${error.message}`, false);
+  }
+}
+
+async function refreshAuditLog() {
+  const tbody = document.getElementById('auditLogBody');
+  try {
+    const raw = AppState.demoMode
+      ? { entries: demoAuditLog }
+      : await apiRequest('/api/admin/audit?limit=100', { authPrompt: false });
+    const entries = normalizePayload('audit', raw);
+    if (entries) renderAuditLog(entries);
+  } catch (error) {
+    const message = error instanceof AuthError && error.detail ? error.detail : error.message;
+    setHtml(tbody, html`<tr><td colspan="6" class="text-center">Audit log unavailable: ${message}</td></tr>`);
+  }
+}
+
+function renderAuditLog(entries) {
+  const tbody = document.getElementById('auditLogBody');
+  if (entries.length === 0) {
+    setHtml(tbody, html`<tr><td colspan="6" class="text-center">No admin actions recorded</td></tr>`);
+    return;
+  }
+
+  setHtml(tbody, entries.map(entry => {
+    const details = entry.details && Object.keys(entry.details).length > 0 ? JSON.stringify(entry.details) : '--';
+    return html`
+      <tr>
+        <td>${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '--'}</td>
+        <td>${entry.actor || '--'}${entry.remote_address && html`<br><small>${entry.remote_address}</small>`}</td>
+        <td>${(entry.action || '').replace(/_/g, ' ')}</td>
+        <td>${entry.target || '--'}</td>
+        <td><span class="audit-outcome ${entry.outcome === 'ok' ? 'ok' : 'failed'}">${entry.outcome}</span></td>
+        <td class="audit-details" title="${details}">${details}</td>
+      </tr>
+    `;
+  }));
+}
+
+// ============================================================================
+// Tool Playground
+// ============================================================================
+
+const PLAYGROUND_CALL_TIMEOUT_MS = 60000;
+const PLAYGROUND_HISTORY_LIMIT = 20;
+
+// Calls go over a client WebSocket of their own rather than the dashboard push
+// stream, so the server handles them like calls from any other MCP client
+const Playground = {
+  socket: null,
+  opening: null,
+  clientId: `playground-${Math.random().toString(36).slice(2, 10)}`,
+  calls: new Map(),
+  history: [],
+  selectedId: null,
+  formTool: null,
+  formSchema: null,
+};
+
+function getPlaygroundTool(name) {
+  return AppState.toolsData.find(tool => tool.name === name) || null;
+}
+
+// Rebuilds the form only when the selected tool or its schema changed, so a
+// refresh of the tools list does not wipe what the user has typed
+function renderPlaygroundTools() {
+  const select = document.getElementById('playgroundTool');
+  const selected = select.value || Playground.formTool;
+  const tools = AppState.toolsData;
+
+  setHtml(select, tools.length === 0
+    ? html`<option value="">No tools available</option>`
+    : tools.map(tool => html`<option value="${tool.name}">${tool.name}</option>`));
+  select.disabled = tools.length === 0;
+  select.value = tools.some(tool => tool.name === selected) ? selected : (tools[0] ? tools[0].name : '');
+
+  const tool = getPlaygroundTool(select.value);
+  const schema = tool && tool.input_schema ? JSON.stringify(tool.input_schema) : null;
+  if (select.value !== Playground.formTool || schema !== Playground.formSchema) {
+    renderPlaygroundForm();
+  }
+}
+
+function renderPlaygroundForm(values = {}) {
+  const tool = getPlaygroundTool(document.getElementById('playgroundTool').value);
+  const schema = tool && tool.input_schema;
+  Playground.formTool = tool ? tool.name : null;
+  Playground.formSchema = schema ? JSON.stringify(schema) : null;
+
+  document.getElementById('playgroundDescription').textContent = tool ? tool.description || '' : '';
+  document.getElementById('playgroundRun').disabled = !tool;
+  showPlaygroundFormError(null);
+
+  const fields = document.getElementById('playgroundFields');
+  if (!tool) {
+    setHtml(fields, null);
+    return;
+  }
+
+  const properties = schema && schema.properties;
+  if (!properties || Object.keys(properties).length === 0) {
+    // No schema reported: accept the parameters object as raw JSON
+    setHtml(fields, html`
+      <div class="form-group">
+        <label class="form-label" for="playgroundParamsJson">Parameters (JSON)</label>
+        <textarea class="form-control playground-json" id="playgroundParamsJson" data-param="" data-type="root" rows="4" spellcheck="false" placeholder="{}">${Object.keys(values).length > 0 ? JSON.stringify(values, null, 2) : ''}</textarea>
+      </div>
+    `);
+    return;
+  }
+
+  const required = new Set(schema.required || []);
+  setHtml(fields, Object.entries(properties).map(([name, property]) =>
+    renderSchemaField(name, property || {}, required.has(name), name in values ? values[name] : property && property.default)
+  ));
+}
+
+function renderSchemaField(name, schema, required, value) {
+  const id = `playgroundParam-${name}`;
+  const label = html`
+    <label class="form-label" for="${id}">${schema.title || name}${required && html` <span class="required-mark">*</span>`}</label>`;
+  const help = schema.description && html`<p class="settings-help">${schema.description}</p>`;
+  let control;
+
+  if (Array.isArray(schema.enum)) {
+    // Options are indexed so non-string enum values survive the round trip
+    control = html`
+      <select class="form-control" id="${id}" data-param="${name}" data-type="enum">
+        ${!required && html`<option value=""></option>`}
+        ${schema.enum.map((option, index) =>
+          html`<option value="${index}"${option === value && ' selected'}>${String(option)}</option>`)}
+      </select>`;
+  } else if (schema.type === 'boolean') {
+    control = html`
+      <label class="toggle-label">
+        <input type="checkbox" id="${id}" data-param="${name}" data-type="boolean"${value === true && ' checked'}>
+        <span>${schema.title || name}</span>
+      </label>`;
+    return html`<div class="form-group">${control}${help}</div>`;
+  } else if (schema.type === 'number' || schema.type === 'integer') {
+    control = html`
+      <input type="number" class="form-control" id="${id}" data-param="${name}" data-type="${schema.type}"
+        step="${schema.type === 'integer' ? 1 : 'any'}" value="${value != null ? value : ''}"${schema.minimum != null && html` min="${schema.minimum}"`}${schema.maximum != null && html` max="${schema.maximum}"`}>`;
+  } else if (schema.type === 'string' || schema.type == null) {
+    control = html`
+      <input type="text" class="form-control" id="${id}" data-param="${name}" data-type="string" value="${value != null ? value : ''}">`;
+  } else {
+    control = html`
+      <textarea class="form-control playground-json" id="${id}" data-param="${name}" data-type="json" rows="3" spellcheck="false"
+        placeholder="${schema.type === 'array' ? '[]' : '{}'}">${value != null ? JSON.stringify(value, null, 2) : ''}</textarea>`;
+  }
+
+  return html`<div class="form-group">${label}${control}${help}</div>`;
+}
+
+function readPlaygroundField(field, schema) {
+  const name = field.dataset.param;
+  const type = field.dataset.type;
+  if (type === 'boolean') return field.checked;
+
+  const raw = field.value.trim();
+  if (raw === '') return undefined;
+  if (type === 'enum') return schema.enum[Number(raw)];
+  if (type === 'number' || type === 'integer') {
+    const number = Number(raw);
+    if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+      throw new Error(`${name} must be ${type === 'integer' ? 'a whole number' : 'a number'}`);
+    }
+    return number;
+  }
+  if (type === 'json' || type === 'root') {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${name || 'Parameters'} is not valid JSON`);
+    }
+  }
+  return field.value;
+}
+
+// Throws with a user-facing message when a field is missing or malformed
+function collectPlaygroundParameters(tool) {
+  const schema = tool.input_schema || {};
+  const properties = schema.properties || {};
+  const parameters = {};
+
+  document.getElementById('playgroundFields').querySelectorAll('[data-param]').forEach(field => {
+    const value = readPlaygroundField(field, properties[field.dataset.param] || {});
+    if (field.dataset.type === 'root') {
+      if (value === undefined) return;
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error('Parameters must be a JSON object');
       }
+      Object.assign(parameters, value);
+    } else if (value !== undefined) {
+      parameters[field.dataset.param] = value;
+    }
+  });
+
+  (schema.required || []).forEach(name => {
+    if (parameters[name] === undefined) throw new Error(`${name} is required`);
+  });
+  return parameters;
+}
+
+function showPlaygroundFormError(message) {
+  const element = document.getElementById('playgroundFormError');
+  element.textContent = message || '';
+  element.hidden = !message;
+}
+
+function runPlaygroundFromForm() {
+  const tool = getPlaygroundTool(document.getElementById('playgroundTool').value);
+  if (!tool) return;
+
+  let parameters;
+  try {
+    parameters = collectPlaygroundParameters(tool);
+  } catch (error) {
+    showPlaygroundFormError(error.message);
+    return;
+  }
+  showPlaygroundFormError(null);
+  startPlaygroundCall(tool.name, parameters);
+}
+
+async function startPlaygroundCall(toolName, parameters) {
+  const invocation = {
+    id: `call-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    tool: toolName,
+    parameters,
+    startedAt: Date.now(),
+    status: 'running',
+    output: '',
+    error: null,
+    firstChunkMs: null,
+    durationMs: null,
+    serverMs: null,
+    demo: AppState.demoMode,
+    timer: null,
+  };
+  Playground.history.unshift(invocation);
+  Playground.history.splice(PLAYGROUND_HISTORY_LIMIT);
+  Playground.selectedId = invocation.id;
+  Playground.calls.set(invocation.id, invocation);
+  invocation.timer = setTimeout(() => {
+    finishPlaygroundCall(invocation, { error: 'Timed out waiting for a result' });
+  }, PLAYGROUND_CALL_TIMEOUT_MS);
+  renderPlayground();
+
+  if (invocation.demo) {
+    simulatePlaygroundCall(invocation);
+    return;
+  }
+
+  try {
+    const socket = await openPlaygroundSocket();
+    socket.send(JSON.stringify({
+      type: 'tool_call',
+      payload: { call_id: invocation.id, tool_name: toolName, parameters },
+    }));
+  } catch (error) {
+    finishPlaygroundCall(invocation, { error: error.message });
+  }
+}
+
+// Demo mode streams a canned answer so the playground works without a server
+function simulatePlaygroundCall(invocation) {
+  const words = `Demo response from ${invocation.tool} for ${JSON.stringify(invocation.parameters)}`.split(' ');
+  const chunkDelayMs = 60;
+  words.forEach((word, index) => {
+    setTimeout(() => appendPlaygroundOutput(invocation, `${word} `), chunkDelayMs * (index + 1));
+  });
+  setTimeout(() => {
+    finishPlaygroundCall(invocation, { serverMs: chunkDelayMs * words.length });
+  }, chunkDelayMs * (words.length + 1));
+}
+
+function openPlaygroundSocket() {
+  const current = Playground.socket;
+  if (current && current.readyState === WebSocket.OPEN) return Promise.resolve(current);
+  if (current && current.readyState === WebSocket.CONNECTING) return Playground.opening;
+  if (typeof WebSocket === 'undefined') {
+    return Promise.reject(new Error('This browser does not support WebSockets'));
+  }
+
+  Playground.opening = new Promise((resolve, reject) => {
+    let socket;
+    try {
+      socket = new WebSocket(buildSocketUrl(Playground.clientId));
+    } catch (error) {
+      reject(new Error(`Could not connect: ${error.message}`));
+      return;
+    }
+    Playground.socket = socket;
+
+    socket.addEventListener('open', () => resolve(socket));
+    socket.addEventListener('message', event => handlePlaygroundMessage(event.data));
+    socket.addEventListener('close', event => {
+      if (Playground.socket === socket) Playground.socket = null;
+      // 1008 is how the server rejects a missing or invalid token
+      const reason = event.code === 1008 ? 'The server rejected the API token' : 'Connection to the server closed';
+      reject(new Error(reason));
+      Playground.calls.forEach(invocation => {
+        if (!invocation.demo) finishPlaygroundCall(invocation, { error: reason });
+      });
+    });
+  });
+  return Playground.opening;
+}
+
+function closePlaygroundSocket() {
+  if (Playground.socket) Playground.socket.close();
+}
+
+function handlePlaygroundMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return;
+  }
+
+  const payload = message.payload || {};
+  const invocation = Playground.calls.get(payload.call_id);
+  if (!invocation) return;
+
+  switch (message.type) {
+    case 'tool_call_chunk':
+      appendPlaygroundOutput(invocation, payload.content);
+      break;
+    case 'tool_call_result':
+      finishPlaygroundCall(invocation, { output: payload.content, serverMs: payload.duration_ms });
+      break;
+    case 'tool_call_error':
+      finishPlaygroundCall(invocation, { error: payload.error || 'Tool call failed', serverMs: payload.duration_ms });
+      break;
+  }
+}
+
+function formatToolOutput(content) {
+  if (content == null) return '';
+  return typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+}
+
+function appendPlaygroundOutput(invocation, chunk) {
+  if (invocation.status !== 'running') return;
+  if (invocation.firstChunkMs == null) invocation.firstChunkMs = Date.now() - invocation.startedAt;
+  invocation.output += formatToolOutput(chunk);
+  if (invocation.id === Playground.selectedId) renderPlaygroundResult();
+}
+
+// The final result replaces the streamed chunks since it is the complete output
+function finishPlaygroundCall(invocation, { output, error, serverMs } = {}) {
+  if (invocation.status !== 'running') return;
+  clearTimeout(invocation.timer);
+  Playground.calls.delete(invocation.id);
+
+  invocation.status = error ? 'error' : 'success';
+  invocation.error = error || null;
+  invocation.durationMs = Date.now() - invocation.startedAt;
+  invocation.serverMs = serverMs != null ? serverMs : null;
+  if (output != null) invocation.output = formatToolOutput(output);
+  renderPlayground();
+}
+
+function renderPlayground() {
+  renderPlaygroundResult();
+  renderPlaygroundHistory();
+}
+
+function renderPlaygroundResult() {
+  const invocation = Playground.history.find(item => item.id === Playground.selectedId);
+  const meta = document.getElementById('playgroundMeta');
+  const output = document.getElementById('playgroundOutput');
+  const errorBox = document.getElementById('playgroundError');
+
+  if (!invocation) {
+    setHtml(meta, 'Run a tool to see its response here');
+    output.textContent = '';
+    errorBox.hidden = true;
+    return;
+  }
+
+  const timings = [
+    invocation.firstChunkMs != null && `first chunk ${formatMs(invocation.firstChunkMs)}`,
+    invocation.durationMs != null && `round trip ${formatMs(invocation.durationMs)}`,
+    invocation.serverMs != null && `server ${formatMs(invocation.serverMs)}`,
+  ].filter(Boolean).join(' · ');
+  setHtml(meta, html`
+    <span class="playground-status ${invocation.status}">${invocation.status}</span>
+    <span class="playground-call">${invocation.tool}</span>
+    <span class="playground-timing">${timings}</span>
+  `);
+  output.textContent = invocation.output;
+  output.scrollTop = output.scrollHeight;
+  errorBox.textContent = invocation.error || '';
+  errorBox.hidden = !invocation.error;
+}
+
+function renderPlaygroundHistory() {
+  const list = document.getElementById('playgroundHistory');
+  if (Playground.history.length === 0) {
+    setHtml(list, html`<div class="alert-empty">No invocations yet</div>`);
+    return;
+  }
+
+  setHtml(list, Playground.history.map(invocation => {
+    const parameters = JSON.stringify(invocation.parameters);
+    return html`
+      <div class="playground-history-item${invocation.id === Playground.selectedId && ' selected'}" data-invocation-id="${invocation.id}">
+        <span class="playground-status ${invocation.status}">${invocation.status}</span>
+        <span class="playground-call">${invocation.tool}</span>
+        <span class="playground-params" title="${parameters}">${parameters}</span>
+        <span class="playground-timing">${new Date(invocation.startedAt).toLocaleTimeString()}${invocation.durationMs != null && ` · ${formatMs(invocation.durationMs)}`}</span>
+        <button class="btn btn-secondary btn-small" data-replay="${invocation.id}">Replay</button>
+      </div>
+    `;
+  }));
+}
+
+// Shows a past invocation and loads its parameters back into the form
+function selectPlaygroundInvocation(invocationId) {
+  const invocation = Playground.history.find(item => item.id === invocationId);
+  if (!invocation) return;
+
+  Playground.selectedId = invocation.id;
+  const select = document.getElementById('playgroundTool');
+  if (getPlaygroundTool(invocation.tool)) {
+    select.value = invocation.tool;
+    renderPlaygroundForm(invocation.parameters);
+  }
+  renderPlayground();
+}
+
+function replayPlaygroundInvocation(invocationId) {
+  const invocation = Playground.history.find(item => item.id === invocationId);
+  if (invocation) startPlaygroundCall(invocation.tool, invocation.parameters);
+}
+
+function clearPlaygroundHistory() {
+  Playground.history = Playground.history.filter(invocation => invocation.status === 'running');
+  if (!Playground.history.some(invocation => invocation.id === Playground.selectedId)) {
+    Playground.selectedId = null;
+  }
+  renderPlayground();
+}
+
+// ============================================================================
+// Export and Reports
+// ============================================================================
+
+// Log lines bundled into an incident snapshot
+const INCIDENT_LOG_LINES = 500;
+
+// Columns per exportable table. CSV flattens arrays and objects; JSON exports
+// keep the full canonical records.
+const EXPORT_COLUMNS = {
+  connections: [
+    ['id', conn => conn.id],
+    ['status', conn => conn.status],
+    ['connected_at', conn => conn.connected_at],
+    ['disconnected_at', conn => conn.disconnected_at],
+    ['duration_seconds', conn => conn.duration_seconds],
+    ['remote_address', conn => conn.remote_address],
+    ['transport', conn => conn.transport],
+    ['protocol_version', conn => conn.protocol_version],
+    ['client', conn => conn.client_info && describeClient(conn)],
+    ['messages_in', conn => conn.messages_in],
+    ['messages_out', conn => conn.messages_out],
+    ['bytes_in', conn => conn.bytes_in],
+    ['bytes_out', conn => conn.bytes_out],
+    ['error_count', conn => conn.error_count],
+    ['tools_used', conn => (conn.tools_used || []).join(' ')],
+  ],
+  tools: [
+    ['name', tool => tool.name],
+    ['description', tool => tool.description],
+    ['call_count', tool => tool.call_count],
+    ['success_rate', tool => tool.success_rate],
+    ['avg_response_time_ms', tool => tool.avg_response_time],
+    ['last_error', tool => tool.last_error],
+  ],
+  logs: [
+    ['id', log => log.id],
+    ['timestamp', log => log.timestamp],
+    ['level', log => log.level],
+    ['logger', log => log.logger],
+    ['client_id', log => log.client_id],
+    ['tool', log => log.tool],
+    ['request_id', log => log.request_id],
+    ['message', log => log.message],
+  ],
+};
+
+// What each table currently shows: the connection status filter and the
+// log search and level filter apply to exports too
+function getExportRows(kind) {
+  if (kind === 'connections') return filterConnections(AppState.connectionsData);
+  if (kind === 'tools') return AppState.toolsData;
+  return LogView.filtered;
+}
+
+// Quotes fields that need it and defuses values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(([header]) => header).join(',')];
+  rows.forEach(row => lines.push(columns.map(([, read]) => csvField(read(row))).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function exportFileName(name, extension) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `mcp-tavily-${name}-${stamp}.${extension}`;
+}
+
+function exportTable(kind, format) {
+  const rows = getExportRows(kind);
+  if (format === 'csv') {
+    downloadFile(exportFileName(kind, 'csv'), toCsv(rows, EXPORT_COLUMNS[kind]), 'text/csv');
+  } else {
+    downloadFile(exportFileName(kind, 'json'), JSON.stringify(rows, null, 2), 'application/json');
+  }
+}
+
+// Charts draw on a transparent canvas, so the PNG gets the card's background
+function exportChartPng(chartKey) {
+  const chart = AppState.charts[chartKey];
+  if (!chart) return;
+  const source = chart.canvas;
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = getComputedStyle(source.closest('.chart-card')).backgroundColor || '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0);
+  downloadUrl(exportFileName(`${chartKey}-chart`, 'png'), canvas.toDataURL('image/png'));
+}
+
+/**
+ * Collects what the dashboard currently knows about the active server into
+ * one object: metrics, the selected history window, fresh health results,
+ * alerts, connections, tools and the last INCIDENT_LOG_LINES log lines.
+ */
+async function buildIncidentSnapshot() {
+  const health = await loadResource('health', fetchHealthReport);
+  if (health) AppState.healthData = health;
+
+  const profile = getActiveProfile();
+  return {
+    generated_at: new Date().toISOString(),
+    server: {
+      profile: profile.name,
+      endpoint: AppState.apiEndpoint,
+      demo_mode: AppState.demoMode,
+      schema_versions: { ...AppState.schemaVersions },
+      data_status: JSON.parse(JSON.stringify(AppState.dataStatus)),
+    },
+    metrics: AppState.metricsData,
+    history: {
+      window: AppState.historyWindow,
+      points: buildHistorySeries(HISTORY_WINDOWS[AppState.historyWindow]),
+    },
+    health: AppState.healthData,
+    alerts: AppState.alerts,
+    connections: AppState.connectionsData,
+    tools: AppState.toolsData,
+    logs: AppState.logsData.slice(-INCIDENT_LOG_LINES),
+  };
+}
+
+function renderIncidentReport(snapshot) {
+  const table = (rows, columns) => html`
+    <table>
+      <thead><tr>${columns.map(([header]) => html`<th>${header}</th>`)}</tr></thead>
+      <tbody>
+        ${rows.map(row => html`<tr>${columns.map(([, read]) => html`<td>${read(row)}</td>`)}</tr>`)}
+      </tbody>
+    </table>
+  `;
+  const metrics = snapshot.metrics || {};
+
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Incident snapshot · ${snapshot.server.profile} · ${snapshot.generated_at}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2121; }
+  h1 { font-size: 1.5rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.8rem; }
+  th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; }
+  pre { background: #f5f5f5; padding: 1rem; overflow: auto; font-size: 0.75rem; }
+</style>
+</head>
+<body>
+<h1>Incident snapshot: ${snapshot.server.profile}</h1>
+<p>${snapshot.server.endpoint} · generated ${new Date(snapshot.generated_at).toLocaleString()}${snapshot.server.demo_mode && ' · demo data'}</p>
+
+<h2>Metrics</h2>
+${table(Object.entries(metrics).filter(([, value]) => typeof value !== 'object'), [
+  ['Field', ([field]) => field],
+  ['Value', ([, value]) => value],
+])}
+
+<h2>Health</h2>
+${table(snapshot.health, [
+  ['Component', component => component.label || component.name],
+  ['Status', component => component.status],
+  ['Critical', component => (component.critical ? 'yes' : 'no')],
+  ['Latency', component => formatMs(component.latency_ms)],
+  ['Message', component => component.message],
+])}
+
+<h2>Alerts</h2>
+${table(snapshot.alerts, [
+  ['Rule', alert => alert.name],
+  ['Severity', alert => alert.severity],
+  ['Status', alert => alert.status],
+  ['Condition', alert => alert.condition],
+  ['Fired', alert => new Date(alert.firedAt).toLocaleString()],
+  ['Resolved', alert => alert.resolvedAt && new Date(alert.resolvedAt).toLocaleString()],
+])}
+
+<h2>History (${snapshot.history.window})</h2>
+${table(snapshot.history.points, [
+  ['Time', point => new Date(point.t).toLocaleTimeString()],
+  ['Requests/min', point => (point.requestRate == null ? '' : point.requestRate.toFixed(1))],
+  ['Error %', point => (point.errorRate == null ? '' : point.errorRate.toFixed(1))],
+  ['p50', point => formatMs(point.p50)],
+  ['p95', point => formatMs(point.p95)],
+  ['Connections', point => point.activeConnections],
+])}
+
+<h2>Connections</h2>
+${table(snapshot.connections, EXPORT_COLUMNS.connections)}
+
+<h2>Tools</h2>
+${table(snapshot.tools, EXPORT_COLUMNS.tools)}
+
+<h2>Last ${snapshot.logs.length} Log Lines</h2>
+${table(snapshot.logs, EXPORT_COLUMNS.logs)}
+
+<h2>Raw Snapshot</h2>
+<pre>${JSON.stringify(snapshot, null, 2)}</pre>
+</body>
+</html>
+`;
+}
+
+async function exportIncidentSnapshot(format) {
+  const button = document.getElementById(format === 'html' ? 'incidentSnapshotHtml' : 'incidentSnapshotJson');
+  button.disabled = true;
+  try {
+    const snapshot = await buildIncidentSnapshot();
+    if (format === 'html') {
+      downloadFile(exportFileName('incident', 'html'), String(renderIncidentReport(snapshot)), 'text/html');
+    } else {
+      downloadFile(exportFileName('incident', 'json'), JSON.stringify(snapshot, null, 2), 'application/json');
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// ============================================================================
+// Session Recording and Replay
+// ============================================================================
+
+const SESSION_FORMAT = 'mcp-tavily-dashboard-session';
+const SESSION_VERSION = 1;
+// Recording stops by itself at this many entries so a forgotten recorder cannot exhaust memory
+const SESSION_MAX_ENTRIES = 20000;
+const REPLAY_TICK_MS = 250;
+const REPLAY_TIMELINE_BINS = 120;
+
+// The session being recorded (or the last one recorded), kept until the next recording starts
+const SessionRecorder = {
+  session: null,
+  recording: false,
+};
+
+// A loaded session answers every fetch* call and replays its pushed events
+// while `session` is set; `position` is the playhead in ms from its start
+const SessionReplay = {
+  session: null,
+  position: 0,
+  speed: 1,
+  timer: null,
+};
+
+// Wall-clock time, or the recorded time under the playhead while replaying
+function dataNow() {
+  const { session, position } = SessionReplay;
+  return session ? session.started_at + position : Date.now();
+}
+
+function startSessionRecording() {
+  SessionRecorder.session = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    started_at: Date.now(),
+    duration_ms: 0,
+    profile: { name: getActiveProfile().name, api_endpoint: AppState.apiEndpoint },
+    demo: AppState.demoMode ? { ...AppState.demo } : null,
+    entries: [],
+  };
+  SessionRecorder.recording = true;
+  renderSessionControls();
+  // Capture the open section straight away rather than at the next refresh
+  refreshCurrentSection();
+}
+
+function stopSessionRecording() {
+  if (!SessionRecorder.recording) return;
+  SessionRecorder.recording = false;
+  SessionRecorder.session.duration_ms = Date.now() - SessionRecorder.session.started_at;
+  renderSessionControls();
+}
+
+/**
+ * Appends an API response ({type: 'response', path, data}) or a pushed live
+ * message ({type: 'event', message}) to the recording, stamped with ms since
+ * it started. Entries are deep-copied because demo data changes in place.
+ */
+function recordSessionEntry(entry) {
+  const session = SessionRecorder.session;
+  if (!SessionRecorder.recording || SessionReplay.session) return;
+  session.entries.push({ t: Date.now() - session.started_at, ...JSON.parse(JSON.stringify(entry)) });
+  if (session.entries.length >= SESSION_MAX_ENTRIES) {
+    stopSessionRecording();
+    showAdminResult('sessionResult', `Recording stopped after ${SESSION_MAX_ENTRIES} entries.`, false);
+  }
+  renderSessionControls();
+}
+
+function downloadSession() {
+  const session = SessionRecorder.session;
+  if (!session) return;
+  const data = SessionRecorder.recording ? { ...session, duration_ms: Date.now() - session.started_at } : session;
+  downloadFile(exportFileName('session', 'json'), JSON.stringify(data), 'application/json');
+}
+
+/**
+ * Validates a session file. Malformed entries are dropped and the rest
+ * sorted by time; throws if the object is not a session file at all.
+ */
+function sanitizeSession(data) {
+  if (!data || data.format !== SESSION_FORMAT || !Array.isArray(data.entries)) {
+    throw new Error('Not a dashboard session file');
+  }
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`Session version ${data.version} is newer than supported (${SESSION_VERSION})`);
+  }
+
+  const entries = data.entries
+    .filter(entry => entry && Number.isFinite(entry.t) && (
+      (entry.type === 'response' && typeof entry.path === 'string') ||
+      (entry.type === 'event' && entry.message && typeof entry.message === 'object')
+    ))
+    .sort((a, b) => a.t - b.t);
+  const lastEntry = entries.length ? entries[entries.length - 1].t : 0;
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    started_at: Number(data.started_at) || 0,
+    duration_ms: Math.max(Number(data.duration_ms) || 0, lastEntry),
+    profile: data.profile && typeof data.profile === 'object' ? data.profile : {},
+    demo: data.demo || null,
+    entries,
+  };
+}
+
+async function loadSessionFile(file) {
+  const session = sanitizeSession(JSON.parse(await file.text()));
+  startSessionReplay(session);
+  return session;
+}
+
+// Swaps the server (or simulator) for the recording until exitSessionReplay
+function startSessionReplay(session) {
+  stopSessionRecording();
+  stopLiveUpdates();
+  stopDemoSimulator();
+  pauseSessionReplay();
+  Object.assign(SessionReplay, { session, position: 0 });
+  document.getElementById('replayBar').hidden = false;
+  document.getElementById('replayScrubber').max = String(session.duration_ms);
+  renderReplayTimeline();
+  seekSessionReplay(0);
+  playSessionReplay();
+}
+
+function exitSessionReplay() {
+  pauseSessionReplay();
+  SessionReplay.session = null;
+  document.getElementById('replayBar').hidden = true;
+  resetServerData();
+  renderSessionControls();
+  if (AppState.demoMode) {
+    startDemoSimulator();
+  } else {
+    startLiveUpdates();
+  }
+  refreshCurrentSection();
+}
+
+function playSessionReplay() {
+  const replay = SessionReplay;
+  if (!replay.session || replay.timer) return;
+  if (replay.position >= replay.session.duration_ms) seekSessionReplay(0);
+  replay.timer = setInterval(tickSessionReplay, REPLAY_TICK_MS);
+  renderReplayPosition();
+}
+
+function pauseSessionReplay() {
+  clearInterval(SessionReplay.timer);
+  SessionReplay.timer = null;
+  if (SessionReplay.session) renderReplayPosition();
+}
+
+function tickSessionReplay() {
+  const replay = SessionReplay;
+  const to = Math.min(replay.session.duration_ms, replay.position + REPLAY_TICK_MS * replay.speed);
+  advanceSessionReplay(to);
+  if (to >= replay.session.duration_ms) pauseSessionReplay();
+}
+
+// Plays forward to `to`: pushed events go through the live handlers in order,
+// and passing a recorded response refreshes the open section from it
+function advanceSessionReplay(to) {
+  const replay = SessionReplay;
+  const from = replay.position;
+  replay.position = to;
+  let refresh = false;
+  replay.session.entries.forEach(entry => {
+    if (entry.t <= from || entry.t > to) return;
+    if (entry.type === 'event') {
+      handleLiveMessage(entry.message);
+    } else {
+      refresh = true;
     }
   });
+  renderReplayPosition();
+  if (refresh) refreshCurrentSection();
 }
 
-function updateCharts(metrics) {
-  if (!AppState.charts.successRate || !AppState.charts.responseTime) return;
-  
-  // Update success rate chart
-  const successRate = (metrics.successful_requests / metrics.total_requests * 100).toFixed(1);
-  const failureRate = (100 - successRate).toFixed(1);
-  
-  AppState.charts.successRate.data.datasets[0].data = [successRate, failureRate];
-  AppState.charts.successRate.update();
+// Jumps without replaying events in between: views restart from the
+// responses recorded at or before the new position
+function seekSessionReplay(position) {
+  const replay = SessionReplay;
+  replay.position = Math.min(Math.max(0, position), replay.session.duration_ms);
+  resetServerData();
+  renderReplayPosition();
+  refreshCurrentSection();
 }
 
-// ============================================================================
-// Data Refresh Functions
-// ============================================================================
-
-async function refreshDashboard() {
-  try {
-    const metrics = await fetchMetrics();
-    AppState.metricsData = metrics;
-    updateDashboardMetrics(metrics);
-    updateCharts(metrics);
-    updateLastUpdate();
-  } catch (error) {
-    console.error('Error refreshing dashboard:', error);
+/**
+ * Answers a fetch from the recording as of the playhead: the latest response
+ * recorded for exactly this path, else for the same path with other query
+ * parameters. Paths the session never fetched by then fail with a 404.
+ */
+function replayResponse(path) {
+  const { session, position } = SessionReplay;
+  const base = path.split('?')[0];
+  if (base === '/api/logs') {
+    const page = replayLogPage(path);
+    if (page) return page;
   }
-}
 
-async function refreshHealth() {
-  try {
-    const metrics = await fetchMetrics();
-    updateHealthStatus(metrics);
-    updateLastUpdate();
-  } catch (error) {
-    console.error('Error refreshing health:', error);
+  // A response fetched with another page size stands in, never one with other filters
+  const filters = replayFilterKey(path);
+  let exact = null;
+  let similar = null;
+  for (const entry of session.entries) {
+    if (entry.t > position) break;
+    if (entry.type !== 'response') continue;
+    if (entry.path === path) exact = entry;
+    else if (entry.path.split('?')[0] === base && replayFilterKey(entry.path) === filters) similar = entry;
   }
+  const match = exact || similar;
+  if (!match) throw new RequestError(`Not in this recording: ${path}`, { status: 404 });
+  return match.data;
 }
 
-async function refreshConnections() {
-  try {
-    const connections = await fetchConnections();
-    AppState.connectionsData = connections;
-    updateConnectionsTable(connections);
-    updateLastUpdate();
-  } catch (error) {
-    console.error('Error refreshing connections:', error);
-  }
+// Query parameters that change what a response contains, in a comparable form
+function replayFilterKey(path) {
+  const params = new URLSearchParams(path.split('?')[1] || '');
+  params.delete('limit');
+  params.sort();
+  return params.toString();
 }
 
-async function refreshTools() {
-  try {
-    const tools = await fetchTools();
-    AppState.toolsData = tools;
-    updateToolsGrid(tools);
-    updateLastUpdate();
-  } catch (error) {
-    console.error('Error refreshing tools:', error);
+// Cursor pages are rebuilt from every record received up to the playhead,
+// so tailing and "Load older" work against the replay as against the server.
+// Returns null for sessions whose server did not page its logs.
+function replayLogPage(path) {
+  const { session, position } = SessionReplay;
+  const records = new Map();
+  let latestId = 0;
+  let paged = false;
+
+  for (const entry of session.entries) {
+    if (entry.t > position) break;
+    let logs = [];
+    if (entry.type === 'response' && entry.path.split('?')[0] === '/api/logs' && isLogPage(entry.data)) {
+      paged = true;
+      latestId = Math.max(latestId, entry.data.cursor);
+      logs = entry.data.logs;
+    } else if (entry.type === 'event' && entry.message.type === 'log_entry') {
+      logs = [entry.message.payload];
+    }
+    logs.forEach(log => {
+      if (log.id == null) return;
+      records.set(log.id, log);
+      latestId = Math.max(latestId, log.id);
+    });
   }
+  if (!paged) return null;
+
+  const sorted = [...records.values()].sort((a, b) => a.id - b.id);
+  return buildLogPage(sorted, path.split('?')[1] || '', latestId);
 }
 
-async function refreshLogs() {
-  try {
-    const logs = await fetchLogs();
-    AppState.logsData = logs;
-    updateLogsContainer(logs);
-    updateLastUpdate();
-  } catch (error) {
-    console.error('Error refreshing logs:', error);
-  }
+function formatReplayClock(ms) {
+  return formatDuration(Math.floor(ms / 1000));
 }
 
-async function refreshCurrentSection() {
-  switch (AppState.currentSection) {
-    case 'dashboard':
-      await refreshDashboard();
-      break;
-    case 'health':
-      await refreshHealth();
-      break;
-    case 'connections':
-      await refreshConnections();
-      break;
-    case 'tools':
-      await refreshTools();
-      break;
-    case 'logs':
-      await refreshLogs();
-      break;
-  }
+function renderReplayPosition() {
+  const { session, position, timer } = SessionReplay;
+  document.getElementById('replayScrubber').value = String(position);
+  document.getElementById('replayClock').textContent =
+    `${formatReplayClock(position)} / ${formatReplayClock(session.duration_ms)} · ${new Date(session.started_at + position).toLocaleTimeString()}`;
+  document.getElementById('replayPlay').textContent = timer ? 'Pause' : 'Play';
 }
 
-function startAutoRefresh() {
-  if (AppState.refreshInterval) {
-    clearInterval(AppState.refreshInterval);
-  }
-  
-  if (AppState.autoRefresh) {
-    AppState.refreshInterval = setInterval(() => {
-      refreshCurrentSection();
-    }, AppState.refreshRate);
-  }
+// Entry density along the session, so busy stretches stand out on the scrubber
+function renderReplayTimeline() {
+  const { session } = SessionReplay;
+  const counts = new Array(REPLAY_TIMELINE_BINS).fill(0);
+  session.entries.forEach(entry => {
+    const bin = Math.floor(entry.t / Math.max(1, session.duration_ms) * REPLAY_TIMELINE_BINS);
+    counts[Math.min(REPLAY_TIMELINE_BINS - 1, bin)] += 1;
+  });
+  const busiest = Math.max(1, ...counts);
+
+  const { name, api_endpoint: endpoint } = session.profile;
+  const source = session.demo ? 'demo mode' : endpoint;
+  document.getElementById('replayTitle').textContent =
+    `${name || 'Unknown profile'} (${source || 'unknown server'}), recorded ${new Date(session.started_at).toLocaleString()}: ${session.entries.length} entries`;
+
+  const timeline = document.getElementById('replayTimeline');
+  setHtml(timeline, counts.map(count => html`<span class="replay-bin" data-height="${count / busiest * 100}"></span>`));
+  timeline.querySelectorAll('.replay-bin').forEach(bin => {
+    bin.style.height = `${bin.dataset.height}%`;
+  });
 }
 
-function stopAutoRefresh() {
-  if (AppState.refreshInterval) {
-    clearInterval(AppState.refreshInterval);
-    AppState.refreshInterval = null;
+function renderSessionControls() {
+  const { session, recording } = SessionRecorder;
+  document.getElementById('recordSession').textContent = recording ? 'Stop Recording' : 'Start Recording';
+  document.getElementById('downloadSession').disabled = !session;
+  document.getElementById('replayRecording').disabled = !session || recording;
+  document.getElementById('recordingIndicator').hidden = !recording;
+
+  let status = 'Nothing recorded yet.';
+  if (session) {
+    const duration = recording ? Date.now() - session.started_at : session.duration_ms;
+    status = `${recording ? 'Recording' : 'Recorded'} ${session.entries.length} entries over ${formatReplayClock(duration)}.`;
   }
+  document.getElementById('sessionStatus').textContent = status;
 }
 
 // ============================================================================
@@ -607,11 +5418,128 @@ function switchSection(sectionName) {
   
   // Update current section
   AppState.currentSection = sectionName;
+  updateRoute();
   
   // Refresh section data
   refreshCurrentSection();
 }
 
+// Filter controls mirrored into the URL per section, as query key -> control id
+const ROUTE_FILTERS = {
+  connections: { filter: 'connectionFilter' },
+  tools: { sort: 'toolsSortBy' },
+  logs: { level: 'logLevelFilter', q: 'logSearch' },
+  traces: { client: 'traceClientFilter' },
+};
+
+// The URL hash names the section, its filters and any open connection or
+// trace, e.g. #logs?level=ERROR&q=redis, so views can be linked and the
+// browser's back/forward buttons move between them
+const Router = {
+  sections: [],
+  // Initial control values; filters at their default stay out of the URL
+  defaults: {},
+  // Hash last written or applied, so our own history entries are not re-applied
+  current: '',
+  applying: false,
+};
+
+function initializeRouter() {
+  Router.sections = [...document.querySelectorAll('.nav-item')].map(item => item.dataset.section);
+  Object.values(ROUTE_FILTERS).forEach(filters => {
+    Object.values(filters).forEach(id => {
+      Router.defaults[id] = document.getElementById(id).value;
+    });
+  });
+  applyRoute();
+}
+
+function parseRoute(hash) {
+  const [name, query = ''] = hash.replace(/^#/, '').split('?');
+  return {
+    section: Router.sections.includes(name) ? name : 'dashboard',
+    params: new URLSearchParams(query),
+  };
+}
+
+function buildRoute() {
+  const section = AppState.currentSection;
+  const params = new URLSearchParams();
+  Object.entries(ROUTE_FILTERS[section] || {}).forEach(([key, id]) => {
+    const { value } = document.getElementById(id);
+    if (value !== Router.defaults[id]) params.set(key, value);
+  });
+  if (section === 'connections' && AppState.connectionDetail.id) params.set('connection', AppState.connectionDetail.id);
+  if (section === 'traces' && AppState.traceDetail.id) params.set('trace', AppState.traceDetail.id);
+  const query = params.toString();
+  return `#${section}${query ? `?${query}` : ''}`;
+}
+
+// Navigation adds a history entry; `replace` suits changes made keystroke by keystroke
+function updateRoute({ replace = false } = {}) {
+  if (Router.applying) return;
+  const hash = buildRoute();
+  if (hash === location.hash) return;
+  Router.current = hash;
+  history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+}
+
+// Brings the view in line with the URL, on load and on back/forward or a pasted link
+function applyRoute() {
+  const { section, params } = parseRoute(location.hash);
+  Router.applying = true;
+  try {
+    const changed = applyRouteFilters(section, params);
+    if (changed.includes('logSearch')) applyLogSearch();
+    if (changed.includes('logLevelFilter')) resetLogQuery();
+    switchSection(section);
+
+    const connectionId = section === 'connections' ? params.get('connection') : null;
+    if (connectionId && connectionId !== AppState.connectionDetail.id) {
+      openConnectionDrawer(connectionId);
+    } else if (!connectionId && AppState.connectionDetail.id) {
+      closeConnectionDrawer();
+    }
+
+    if (section === 'traces') {
+      const traceId = params.get('trace');
+      if (traceId && traceId !== AppState.traceDetail.id) {
+        openTrace(traceId);
+      } else if (!traceId && AppState.traceDetail.id) {
+        AppState.traceDetail = { id: null, trace: null, spans: [], error: null };
+        renderTraceWaterfall();
+      }
+    }
+  } finally {
+    Router.applying = false;
+  }
+
+  // Unknown sections or filter values in a pasted link are corrected in place
+  Router.current = buildRoute();
+  if (Router.current !== location.hash) history.replaceState(null, '', Router.current);
+}
+
+// Sets the section's filter controls from the URL (absent keys restore the
+// default) and returns the ids of the controls that changed
+function applyRouteFilters(section, params) {
+  const changed = [];
+  Object.entries(ROUTE_FILTERS[section] || {}).forEach(([key, id]) => {
+    const control = document.getElementById(id);
+    let value = params.has(key) ? params.get(key) : Router.defaults[id];
+    if (control.tagName === 'SELECT' && ![...control.options].some(option => option.value === value)) {
+      value = Router.defaults[id];
+    }
+    if (control.value === value) return;
+    control.value = value;
+    changed.push(id);
+  });
+  return changed;
+}
+
+function handleRouteChange() {
+  if (location.hash !== Router.current) applyRoute();
+}
+
 // ============================================================================
 // Theme Functions
 // ============================================================================
@@ -639,7 +5567,31 @@ function toggleTheme() {
 // Utility Functions
 // ============================================================================
 
+function debounce(fn, waitMs) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), waitMs);
+  };
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  downloadUrl(filename, url);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadUrl(filename, url) {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
 function formatDuration(seconds) {
+  if (seconds == null) return '--';
   const hours = Math.floor(seconds / 3600);
   const minutes = Math.floor((seconds % 3600) / 60);
   const secs = seconds % 60;
@@ -653,6 +5605,40 @@ function formatDuration(seconds) {
   }
 }
 
+// Formatters below render null (field not reported by the server) as '--'
+
+function formatNumber(value) {
+  return value == null ? '--' : value.toLocaleString();
+}
+
+function formatBytes(value) {
+  if (value == null) return '--';
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatMs(value) {
+  return value == null ? '--' : `${Math.round(value)}ms`;
+}
+
+// One decimal, for servers that send unrounded rates
+function formatPercent(value) {
+  return value == null ? '--' : `${Math.round(value * 10) / 10}%`;
+}
+
+function formatUptime(hoursValue) {
+  if (hoursValue == null) return '--';
+  const hours = Math.floor(hoursValue);
+  const minutes = Math.floor((hoursValue - hours) * 60);
+  return `${hours}h ${minutes}m`;
+}
+
+function formatRedisStatus(status) {
+  if (status == null) return '--';
+  return status === 'connected' ? 'Connected' : 'Disconnected';
+}
+
 // ============================================================================
 // Event Listeners
 // ============================================================================
@@ -664,7 +5650,24 @@ function setupEventListeners() {
   });
   
   // Theme toggle
-  document.getElementById('themeToggle').addEventListener('click', toggleTheme);
+  document.getElementById('themeToggle').addEventListener('click', () => {
+    toggleTheme();
+    document.getElementById('themeSelect').value = AppState.theme;
+    persistSettings();
+  });
+  
+  // Re-authentication prompt
+  document.getElementById('authPromptForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitAuthPrompt();
+  });
+  
+  document.getElementById('authPromptDismiss').addEventListener('click', hideAuthPrompt);
+  
+  // Profile switcher
+  document.getElementById('profileSwitcher').addEventListener('change', (e) => {
+    switchProfile(e.target.value);
+  });
   
   // Navigation
   document.querySelectorAll('.nav-item').forEach(item => {
@@ -675,35 +5678,211 @@ function setupEventListeners() {
     });
   });
   
+  // Back/forward and links pasted into the address bar
+  window.addEventListener('popstate', handleRouteChange);
+  window.addEventListener('hashchange', handleRouteChange);
+  
+  // History window
+  document.getElementById('historyWindowSelect').addEventListener('change', (e) => {
+    AppState.historyWindow = e.target.value;
+    updateHistoryCharts();
+  });
+  
+  // Dashboard layouts and widgets
+  document.getElementById('dashboardLayoutSelect').addEventListener('change', (e) => {
+    switchLayout(e.target.value);
+  });
+  
+  document.getElementById('customizeDashboard').addEventListener('click', toggleDashboardEditing);
+  document.getElementById('addWidget').addEventListener('click', () => {
+    addWidget(document.getElementById('addWidgetSelect').value);
+  });
+  document.getElementById('duplicateLayout').addEventListener('click', duplicateLayout);
+  document.getElementById('deleteLayout').addEventListener('click', deleteActiveLayout);
+  
+  document.getElementById('layoutNameInput').addEventListener('change', (e) => {
+    const name = e.target.value.trim();
+    if (!name) return;
+    updateActiveLayout({ name });
+  });
+  
+  const widgetGrid = document.getElementById('widgetGrid');
+  widgetGrid.addEventListener('click', (e) => {
+    const element = e.target.closest('[data-widget-id]');
+    if (!element) return;
+    const { widgetId } = element.dataset;
+    if (e.target.closest('[data-widget-remove]')) removeWidget(widgetId);
+    const move = e.target.closest('[data-widget-move]');
+    if (move) {
+      const index = getActiveLayout().widgets.findIndex(widget => widget.id === widgetId);
+      moveWidget(widgetId, index + Number(move.dataset.widgetMove));
+    }
+  });
+  
+  widgetGrid.addEventListener('change', (e) => {
+    const select = e.target.closest('[data-widget-size]');
+    if (select) resizeWidget(select.closest('[data-widget-id]').dataset.widgetId, select.value);
+  });
+  
+  widgetGrid.addEventListener('dragstart', handleWidgetDragStart);
+  widgetGrid.addEventListener('dragover', handleWidgetDragOver);
+  widgetGrid.addEventListener('drop', handleWidgetDrop);
+  widgetGrid.addEventListener('dragend', handleWidgetDragEnd);
+  
+  // Alerts
+  document.getElementById('alertRuleForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addAlertRuleFromForm();
+  });
+  
+  document.getElementById('alerts-section').addEventListener('click', (e) => {
+    const { ack, silence, deleteRule } = e.target.dataset;
+    if (ack) acknowledgeAlert(ack);
+    if (silence) silenceAlertRule(silence, 60);
+    if (deleteRule) {
+      AppState.alertRules = AppState.alertRules.filter(rule => rule.id !== deleteRule);
+      delete AppState.alertStates[deleteRule];
+      persistSettings();
+      renderAlerts();
+    }
+  });
+  
+  document.getElementById('alerts-section').addEventListener('change', (e) => {
+    const ruleId = e.target.dataset.toggleRule;
+    if (!ruleId) return;
+    const rule = AppState.alertRules.find(item => item.id === ruleId);
+    if (rule) rule.enabled = e.target.checked;
+    persistSettings();
+    renderAlerts();
+  });
+  
+  document.getElementById('browserNotificationsToggle').addEventListener('change', async (e) => {
+    e.target.checked = await setBrowserNotifications(e.target.checked);
+  });
+  
   // Refresh buttons
   document.getElementById('refreshDashboard').addEventListener('click', refreshDashboard);
   document.getElementById('refreshHealth').addEventListener('click', refreshHealth);
   
+  // Fleet drill-down
+  document.getElementById('fleetTableBody').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-profile-id]');
+    if (row) drillIntoInstance(row.dataset.profileId);
+  });
+  
+  document.getElementById('refreshFleet').addEventListener('click', refreshFleet);
+  
   // Connection filter
   document.getElementById('connectionFilter').addEventListener('change', () => {
+    updateRoute();
     updateConnectionsTable(AppState.connectionsData);
   });
+
+  document.getElementById('broadcastForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    broadcastNotice();
+  });
+
+  // Connection detail drawer
+  document.getElementById('connectionsTableBody').addEventListener('click', (e) => {
+    if (e.target.closest('[data-trace-client]')) return;
+    const row = e.target.closest('[data-connection-id]');
+    if (row) openConnectionDrawer(row.dataset.connectionId);
+  });
+
+  document.getElementById('closeConnectionDrawer').addEventListener('click', closeConnectionDrawer);
+  document.getElementById('disconnectConnection').addEventListener('click', disconnectSelectedConnection);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && AppState.connectionDetail.id) closeConnectionDrawer();
+  });
+  
+  // Exports
+  document.addEventListener('click', (e) => {
+    const tableButton = e.target.closest('[data-export]');
+    if (tableButton) exportTable(tableButton.dataset.export, tableButton.dataset.format);
+    const chartButton = e.target.closest('[data-export-chart]');
+    if (chartButton) exportChartPng(chartButton.dataset.exportChart);
+  });
+
+  // Traces: reachable from log lines, timeline events and connection rows
+  document.addEventListener('click', (e) => {
+    const traceLink = e.target.closest('[data-trace-id]');
+    if (traceLink) openTrace(traceLink.dataset.traceId);
+    const clientLink = e.target.closest('[data-trace-client]');
+    if (clientLink) showConnectionTraces(clientLink.dataset.traceClient);
+    const logsLink = e.target.closest('[data-trace-logs]');
+    if (logsLink) showTraceLogs(logsLink.dataset.traceLogs);
+  });
+
+  document.getElementById('traceClientFilter').addEventListener('input', debounce(() => {
+    updateRoute({ replace: true });
+    refreshTraces();
+  }, 300));
+  document.getElementById('refreshTraces').addEventListener('click', refreshTraces);
+
+  document.getElementById('incidentSnapshotHtml').addEventListener('click', () => exportIncidentSnapshot('html'));
+  document.getElementById('incidentSnapshotJson').addEventListener('click', () => exportIncidentSnapshot('json'));
   
   // Tools sort
   document.getElementById('toolsSortBy').addEventListener('change', () => {
+    updateRoute();
     updateToolsGrid(AppState.toolsData);
   });
+
+  // Tool playground
+  document.getElementById('playgroundTool').addEventListener('change', () => {
+    renderPlaygroundForm();
+  });
+
+  document.getElementById('playgroundForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runPlaygroundFromForm();
+  });
+
+  document.getElementById('playgroundHistory').addEventListener('click', (e) => {
+    const replay = e.target.closest('[data-replay]');
+    if (replay) {
+      replayPlaygroundInvocation(replay.dataset.replay);
+      return;
+    }
+    const item = e.target.closest('[data-invocation-id]');
+    if (item) selectPlaygroundInvocation(item.dataset.invocationId);
+  });
+
+  document.getElementById('playgroundClearHistory').addEventListener('click', clearPlaygroundHistory);
   
   // Log search and filter
-  document.getElementById('logSearch').addEventListener('input', () => {
-    updateLogsContainer(AppState.logsData);
-  });
+  document.getElementById('logSearch').addEventListener('input', debounce(applyLogSearch, 200));
   
   document.getElementById('logLevelFilter').addEventListener('change', () => {
-    updateLogsContainer(AppState.logsData);
+    updateRoute();
+    if (AppState.logQuery.cursor == null) {
+      refilterLogs();
+    } else {
+      resetLogQuery();
+      refreshLogs();
+    }
   });
   
-  // Clear logs
-  document.getElementById('clearLogs').addEventListener('click', () => {
-    AppState.logsData = [];
-    updateLogsContainer([]);
+  document.getElementById('loadOlderLogs').addEventListener('click', loadOlderLogs);
+  
+  // Live tail controls
+  document.getElementById('logsContainer').addEventListener('scroll', handleLogsScroll);
+  document.getElementById('pauseLogs').addEventListener('click', () => setLogsPaused(!LogView.paused));
+  document.getElementById('logsNewLines').addEventListener('click', jumpToLatestLogs);
+  document.getElementById('autoScrollLogs').addEventListener('change', (e) => {
+    if (e.target.checked) {
+      jumpToLatestLogs();
+    } else {
+      LogView.following = false;
+    }
   });
   
+  // Clear logs
+  document.getElementById('clearLogs').addEventListener('click', clearLocalLogs);
+  document.getElementById('clearServerLogs').addEventListener('click', clearServerLogs);
+  
   // Settings
   document.getElementById('testConnection').addEventListener('click', async () => {
     const resultDiv = document.getElementById('testResult');
@@ -721,6 +5900,11 @@ function setupEventListeners() {
     if (result.success) {
       resultDiv.textContent = `Connection successful! Response time: ${result.responseTime}ms`;
       resultDiv.classList.add('success');
+      updateActiveProfile({ apiEndpoint: endpoint });
+      if (endpoint !== originalEndpoint) {
+        resetServerData();
+        restartLiveUpdates();
+      }
     } else {
       resultDiv.textContent = `Connection failed: ${result.error}`;
       resultDiv.classList.add('error');
@@ -729,7 +5913,7 @@ function setupEventListeners() {
   });
   
   document.getElementById('refreshRateSelect').addEventListener('change', (e) => {
-    AppState.refreshRate = parseInt(e.target.value);
+    updateActiveProfile({ refreshRate: parseInt(e.target.value) });
     if (AppState.autoRefresh) {
       startAutoRefresh();
     }
@@ -737,6 +5921,7 @@ function setupEventListeners() {
   
   document.getElementById('autoRefreshToggle').addEventListener('change', (e) => {
     AppState.autoRefresh = e.target.checked;
+    persistSettings();
     if (AppState.autoRefresh) {
       startAutoRefresh();
     } else {
@@ -746,12 +5931,162 @@ function setupEventListeners() {
   
   document.getElementById('themeSelect').addEventListener('change', (e) => {
     applyTheme(e.target.value);
+    persistSettings();
   });
   
   document.getElementById('demoModeToggle').addEventListener('change', (e) => {
     AppState.demoMode = e.target.checked;
+    persistSettings();
+    if (AppState.demoMode) {
+      stopLiveUpdates();
+      startDemoSimulator();
+    } else {
+      stopDemoSimulator();
+      startLiveUpdates();
+    }
+    refreshCurrentSection();
+  });
+  
+  // Demo scenario, seed and speed; a new scenario or seed starts the simulation over
+  document.getElementById('demoScenarioSelect').addEventListener('change', (e) => {
+    AppState.demo.scenario = e.target.value;
+    persistSettings();
+    restartDemoSimulator();
+  });
+  
+  document.getElementById('demoSeedInput').addEventListener('change', (e) => {
+    AppState.demo.seed = sanitizeDemoSettings({ seed: e.target.value }).seed;
+    e.target.value = String(AppState.demo.seed);
+    persistSettings();
+    restartDemoSimulator();
+  });
+  
+  document.getElementById('demoSpeedSelect').addEventListener('change', (e) => {
+    AppState.demo.speed = Number(e.target.value);
+    persistSettings();
+    renderDemoStatus();
+  });
+  
+  document.getElementById('restartDemo').addEventListener('click', restartDemoSimulator);
+  
+  document.getElementById('metricsSourceSelect').addEventListener('change', (e) => {
+    updateActiveProfile({ metricsSource: e.target.value });
+    restartLiveUpdates();
     refreshCurrentSection();
   });
+  
+  // Authentication (per profile)
+  document.getElementById('authTypeSelect').addEventListener('change', (e) => {
+    updateActiveProfile({ auth: { ...AppState.auth, type: e.target.value } });
+    document.getElementById('authHeaderGroup').hidden = e.target.value !== 'api-key';
+  });
+  
+  document.getElementById('authTokenInput').addEventListener('change', (e) => {
+    updateActiveProfile({ auth: { ...AppState.auth, token: e.target.value.trim() } });
+  });
+  
+  document.getElementById('authHeaderInput').addEventListener('change', (e) => {
+    updateActiveProfile({ auth: { ...AppState.auth, headerName: e.target.value.trim() || 'X-API-Key' } });
+  });
+  
+  // Server profiles
+  document.getElementById('profileSelect').addEventListener('change', (e) => {
+    switchProfile(e.target.value);
+  });
+  
+  document.getElementById('profileNameInput').addEventListener('change', (e) => {
+    const name = e.target.value.trim();
+    if (!name) return;
+    updateActiveProfile({ name });
+    syncSettingsControls();
+  });
+  
+  document.getElementById('profileInFleetToggle').addEventListener('change', (e) => {
+    updateActiveProfile({ inFleet: e.target.checked });
+  });
+  
+  document.getElementById('addProfile').addEventListener('click', addProfile);
+  document.getElementById('deleteProfile').addEventListener('click', deleteActiveProfile);
+  document.getElementById('exportSettings').addEventListener('click', exportSettings);
+  
+  document.getElementById('importSettings').addEventListener('click', () => {
+    document.getElementById('importSettingsFile').click();
+  });
+  
+  document.getElementById('resetCounters').addEventListener('click', resetServerCounters);
+  document.getElementById('refreshAuditLog').addEventListener('click', refreshAuditLog);
+
+  document.getElementById('importSettingsFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const resultDiv = document.getElementById('profileResult');
+    try {
+      const count = await importSettings(file);
+      resultDiv.textContent = `Imported ${count} profile(s).`;
+      resultDiv.className = 'test-result success';
+    } catch (error) {
+      resultDiv.textContent = `Import failed: ${error.message}`;
+      resultDiv.className = 'test-result error';
+    }
+    e.target.value = '';
+  });
+  
+  // Session recording and replay
+  document.getElementById('recordSession').addEventListener('click', () => {
+    if (SessionRecorder.recording) {
+      stopSessionRecording();
+    } else {
+      startSessionRecording();
+    }
+  });
+  
+  document.getElementById('downloadSession').addEventListener('click', downloadSession);
+  
+  document.getElementById('replayRecording').addEventListener('click', () => {
+    startSessionReplay(sanitizeSession(SessionRecorder.session));
+  });
+  
+  document.getElementById('loadSession').addEventListener('click', () => {
+    document.getElementById('loadSessionFile').click();
+  });
+  
+  document.getElementById('loadSessionFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const resultDiv = document.getElementById('sessionResult');
+    try {
+      const session = await loadSessionFile(file);
+      resultDiv.textContent = `Replaying ${session.entries.length} entries.`;
+      resultDiv.className = 'test-result success';
+    } catch (error) {
+      resultDiv.textContent = `Load failed: ${error.message}`;
+      resultDiv.className = 'test-result error';
+    }
+    e.target.value = '';
+  });
+  
+  document.getElementById('replayPlay').addEventListener('click', () => {
+    if (SessionReplay.timer) {
+      pauseSessionReplay();
+    } else {
+      playSessionReplay();
+    }
+  });
+  
+  document.getElementById('replaySpeed').addEventListener('change', (e) => {
+    SessionReplay.speed = Number(e.target.value);
+  });
+  
+  // Dragging only moves the clock; letting go seeks
+  document.getElementById('replayScrubber').addEventListener('input', (e) => {
+    document.getElementById('replayClock').textContent = formatReplayClock(Number(e.target.value));
+  });
+  
+  document.getElementById('replayScrubber').addEventListener('change', (e) => {
+    seekSessionReplay(Number(e.target.value));
+  });
+  
+  document.getElementById('replayExit').addEventListener('click', exitSessionReplay);
 }
 
 // ============================================================================
@@ -761,20 +6096,33 @@ function setupEventListeners() {
 async function initializeApp() {
   console.log('Initializing MCP-Tavily Dashboard...');
   
+  // Restore saved settings and profiles before anything reads AppState
+  loadSettings();
+  applyTheme(AppState.theme);
+  
+  // Build the demo world even when demo mode is off, so switching it on has history to show
+  resetDemoSimulator();
+  
   // Setup event listeners
   setupEventListeners();
   
-  // Set initial API endpoint in settings
-  document.getElementById('apiEndpointInput').value = AppState.apiEndpoint;
+  // Reflect restored settings in the header and Settings section
+  syncSettingsControls();
+  renderSessionControls();
+  
+  // Lay out the active dashboard's widgets, which creates their charts
+  renderDashboardWidgets();
   
-  // Initialize charts
-  initializeCharts();
+  // Seed alert rules
+  initializeAlerting();
   
-  // Load initial data
-  await refreshDashboard();
+  // Open the section and filters named in the URL, which loads its data
+  initializeRouter();
   
-  // Start auto-refresh
+  // Start auto-refresh, which stands down while live updates are connected
   startAutoRefresh();
+  startLiveUpdates();
+  if (AppState.demoMode) startDemoSimulator();
   
   console.log('Dashboard initialized successfully!');
 }
@@ -1,58 +1,1244 @@
 import os
+import re
+import hmac
+import hashlib
 import time
 import json
 import logging
 import asyncio
-from collections import defaultdict
-from contextlib import asynccontextmanager
-from typing import Dict, List, Literal, Optional, Tuple
+import contextvars
+import secrets
+import shutil
+import socket
+from collections import OrderedDict, defaultdict, deque
+from contextlib import asynccontextmanager, contextmanager
+from datetime import datetime, timezone
+from typing import Any, Awaitable, Callable, Dict, List, Literal, Optional, Tuple, Union
 
-from fastapi import FastAPI, Request, WebSocket, WebSocketDisconnect
-from fastapi.responses import HTMLResponse, FileResponse
+from fastapi import APIRouter, Depends, FastAPI, HTTPException, Query, Request, WebSocket, WebSocketDisconnect, status
+from fastapi.responses import HTMLResponse, FileResponse, JSONResponse, Response
 from fastapi.staticfiles import StaticFiles
-from pydantic import BaseModel, Field
+from pydantic import BaseModel, Field, StrictInt, StrictStr, ValidationError
 
 logging.basicConfig(level=logging.INFO)
 logger = logging.getLogger(__name__)
 
-class ServerState:
+# How often dashboard subscribers receive a metrics snapshot, in seconds
+METRICS_PUSH_INTERVAL = float(os.environ.get("METRICS_PUSH_INTERVAL", "2"))
+
+# Comma-separated tokens accepted on /api/* and /ws/*. Leave unset to disable auth.
+API_TOKENS = [token.strip() for token in os.environ.get("API_TOKENS", "").split(",") if token.strip()]
+API_KEY_HEADER = os.environ.get("API_KEY_HEADER", "X-API-Key")
+# Tokens allowed to call /api/admin/*; defaults to API_TOKENS. With neither set, admin routes are refused.
+ADMIN_TOKENS = [token.strip() for token in os.environ.get("ADMIN_TOKENS", "").split(",") if token.strip()] or API_TOKENS
+AUDIT_LOG_SIZE = int(os.environ.get("AUDIT_LOG_SIZE", "500"))
+
+# Where counters, logs, the connection registry and pub/sub live: "memory"
+# (this process only) or "redis" (shared by every worker, survives restarts).
+# Defaults to "redis" when REDIS_URL is set.
+STATE_BACKEND = os.environ.get("STATE_BACKEND", "redis" if os.environ.get("REDIS_URL") else "memory")
+REDIS_URL = os.environ.get("REDIS_URL", "redis://localhost:6379/0")
+# Prepended to every Redis key and channel so deployments can share one Redis
+REDIS_KEY_PREFIX = os.environ.get("REDIS_KEY_PREFIX", "mcp:")
+# Identifies this process in the shared connection registry
+WORKER_ID = f"{socket.gethostname()}:{os.getpid()}"
+# Each worker refreshes a Redis heartbeat key this often, in seconds. Registry
+# entries of a worker whose heartbeat has been gone for WORKER_HEARTBEAT_TTL
+# (it crashed without cleaning up) are pruned.
+WORKER_HEARTBEAT_INTERVAL = float(os.environ.get("WORKER_HEARTBEAT_INTERVAL", "10"))
+WORKER_HEARTBEAT_TTL = int(os.environ.get("WORKER_HEARTBEAT_TTL", "30"))
+# Bounds of the doubling delay before the pub/sub listener reconnects, in seconds
+PUBSUB_RECONNECT_BASE_DELAY = 1.0
+PUBSUB_RECONNECT_MAX_DELAY = 30.0
+
+# Number of structured log records kept by the state backend; older records are evicted
+LOG_BUFFER_SIZE = int(os.environ.get("LOG_BUFFER_SIZE", "5000"))
+LOG_LEVELS = ("DEBUG", "INFO", "WARNING", "ERROR")
+
+# Events kept per connection for its timeline, and how many closed sessions
+# stay inspectable after their client disconnects
+CONNECTION_TIMELINE_SIZE = int(os.environ.get("CONNECTION_TIMELINE_SIZE", "200"))
+CLOSED_CONNECTIONS_KEPT = int(os.environ.get("CLOSED_CONNECTIONS_KEPT", "50"))
+# Longest message excerpt stored in a timeline event
+TIMELINE_PREVIEW_CHARS = 200
+
+# MCP protocol revisions this server can negotiate, newest first
+MCP_PROTOCOL_VERSIONS = ("2025-06-18", "2025-03-26", "2024-11-05")
+MCP_SERVER_INFO = {"name": "mcp-tavily", "version": "1.0.0"}
+# Streamable HTTP sessions idle for longer than this many seconds are ended
+MCP_SESSION_TTL = int(os.environ.get("MCP_SESSION_TTL", "3600"))
+
+# Recent traces kept for /api/traces, and the most spans recorded per trace
+TRACES_KEPT = int(os.environ.get("TRACES_KEPT", "200"))
+TRACE_MAX_SPANS = 100
+
+# Upper bounds of the per-tool latency histogram buckets, in milliseconds.
+# Calls slower than the last bound land in a final open-ended bucket.
+TOOL_LATENCY_BUCKETS_MS = (50, 100, 250, 500, 1000, 2500, 5000, 10000)
+
+# Longest a single /health/ready component check may take, in seconds
+HEALTH_CHECK_TIMEOUT = float(os.environ.get("HEALTH_CHECK_TIMEOUT", "2"))
+# Below these shares of free disk / available memory the checks report "degraded"
+HEALTH_MIN_FREE_DISK_PERCENT = float(os.environ.get("HEALTH_MIN_FREE_DISK_PERCENT", "10"))
+HEALTH_MIN_AVAILABLE_MEMORY_PERCENT = float(os.environ.get("HEALTH_MIN_AVAILABLE_MEMORY_PERCENT", "10"))
+
+# Sent with the dashboard page. Profiles can point the dashboard at other
+# instances, so connect-src stays open unless narrowed with CSP_CONNECT_SRC.
+CSP_CONNECT_SRC = os.environ.get("CSP_CONNECT_SRC", "'self' http: https: ws: wss:")
+CONTENT_SECURITY_POLICY = "; ".join([
+    "default-src 'self'",
+    "script-src 'self' https://cdn.jsdelivr.net",
+    "style-src 'self'",
+    "img-src 'self' data:",
+    f"connect-src {CSP_CONNECT_SRC}",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+])
+
+if not API_TOKENS:
+    logger.warning("API_TOKENS is not set; /api/* and /ws/* are unauthenticated")
+if not ADMIN_TOKENS:
+    logger.warning("Neither ADMIN_TOKENS nor API_TOKENS is set; /api/admin/* is disabled")
+
+def iso_timestamp(seconds: Optional[float]) -> Optional[str]:
+    return datetime.fromtimestamp(seconds, timezone.utc).isoformat() if seconds is not None else None
+
+# Span being executed in the current task; log records and timeline events pick it up
+current_span: contextvars.ContextVar[Optional[Dict]] = contextvars.ContextVar("current_span", default=None)
+
+def current_trace_ids() -> Dict[str, Optional[str]]:
+    span = current_span.get()
+    return {"trace_id": span["trace_id"], "span_id": span["span_id"]} if span else {"trace_id": None, "span_id": None}
+
+class Tracer:
     """
-    Global server state to store metrics and logs.
+    Bounded store of recent traces. Every incoming WebSocket message opens a
+    root span; tool calls and other steps open child spans with `span()`.
+    The active span travels in a context variable, so log records and
+    connection timeline events are tagged with its ids without passing them
+    around. A client may echo a `trace_id` it was sent to continue that trace.
+    """
+    def __init__(self, size: int):
+        self.traces: "OrderedDict[str, Dict]" = OrderedDict()
+        self.size = size
+
+    @contextmanager
+    def span(self, name: str, client_id: Optional[str] = None, trace_id: Optional[str] = None, **attributes):
+        parent = current_span.get()
+        if parent is not None:
+            # A slow call can outlive its trace's eviction; keep its ids but record into a detached trace
+            trace = self.traces.get(parent["trace_id"]) or {
+                "trace_id": parent["trace_id"], "client_id": client_id, "spans": [],
+            }
+        else:
+            trace = self.traces.get(trace_id) if trace_id else None
+            if trace is None:
+                trace = self._start_trace(client_id)
+        span = {
+            "trace_id": trace["trace_id"],
+            "span_id": secrets.token_hex(8),
+            # A continued trace hangs new work off its root span
+            "parent_id": parent["span_id"] if parent else (trace["spans"][0]["span_id"] if trace["spans"] else None),
+            "name": name,
+            "start": time.time(),
+            "duration_ms": None,
+            "status": "ok",
+            "error": None,
+            "attributes": attributes,
+        }
+        if len(trace["spans"]) < TRACE_MAX_SPANS:
+            trace["spans"].append(span)
+        token = current_span.set(span)
+        started = time.perf_counter()
+        try:
+            yield span
+        except Exception as e:
+            self.fail(span, e)
+            raise
+        finally:
+            span["duration_ms"] = (time.perf_counter() - started) * 1000
+            current_span.reset(token)
+
+    def fail(self, span: Dict, error):
+        span["status"] = "error"
+        span["error"] = str(error)
+
+    def _start_trace(self, client_id: Optional[str]) -> Dict:
+        trace = {"trace_id": secrets.token_hex(16), "client_id": client_id, "spans": []}
+        self.traces[trace["trace_id"]] = trace
+        while len(self.traces) > self.size:
+            self.traces.popitem(last=False)
+        return trace
+
+    def summarize(self, trace: Dict) -> Dict:
+        spans = trace["spans"]
+        started = min(span["start"] for span in spans)
+        ended = max(span["start"] + (span["duration_ms"] or 0) / 1000 for span in spans)
+        in_progress = any(span["duration_ms"] is None for span in spans)
+        return {
+            "trace_id": trace["trace_id"],
+            "name": spans[0]["name"],
+            "client_id": trace["client_id"],
+            "started_at": iso_timestamp(started),
+            "duration_ms": None if in_progress else (ended - started) * 1000,
+            "span_count": len(spans),
+            "status": "error" if any(span["status"] == "error" for span in spans) else "ok",
+        }
+
+    def recent(self, limit: int, client_id: Optional[str] = None) -> List[Dict]:
+        traces = [
+            trace for trace in reversed(self.traces.values())
+            if trace["spans"] and (client_id is None or trace["client_id"] == client_id)
+        ]
+        return [self.summarize(trace) for trace in traces[:limit]]
+
+    def get(self, trace_id: str) -> Optional[Dict]:
+        """The trace summary plus its spans, with offsets in ms from the trace start."""
+        trace = self.traces.get(trace_id)
+        if not trace or not trace["spans"]:
+            return None
+        started = min(span["start"] for span in trace["spans"])
+        spans = [
+            {
+                **{key: value for key, value in span.items() if key != "start"},
+                "offset_ms": (span["start"] - started) * 1000,
+            }
+            for span in trace["spans"]
+        ]
+        return {"trace": self.summarize(trace), "spans": spans}
+
+tracer = Tracer(TRACES_KEPT)
+
+class ConnectionSession:
+    """
+    Metadata, traffic counters and a bounded event timeline for one client:
+    a WebSocket, or a streamable HTTP session on /mcp. The MCP fields stay
+    unset until the client sends `initialize`.
+    """
+    def __init__(self, client_id: str, connection: Union[WebSocket, Request], transport: str = "websocket"):
+        self.client_id = client_id
+        self.transport = transport
+        self.connected_at = time.time()
+        self.last_seen = self.connected_at
+        self.disconnected_at: Optional[float] = None
+        self.close_reason: Optional[str] = None
+        client = connection.client
+        self.remote_address = f"{client.host}:{client.port}" if client else None
+        self.user_agent = connection.headers.get("user-agent")
+        self.protocol_version: Optional[str] = None
+        self.client_info: Optional[Dict] = None
+        self.client_capabilities: Optional[Dict] = None
+        self.initialized = False
+        self.messages_in = 0
+        self.messages_out = 0
+        self.bytes_in = 0
+        self.bytes_out = 0
+        self.error_count = 0
+        self.tool_counts: Dict[str, int] = defaultdict(int)
+        self.timeline = deque(maxlen=CONNECTION_TIMELINE_SIZE)
+        self.next_event_id = 1
+
+    def record(self, kind: str, summary: str, **details):
+        self.timeline.append({
+            "id": self.next_event_id,
+            "timestamp": iso_timestamp(time.time()),
+            "kind": kind,
+            "summary": summary,
+            "trace_id": current_trace_ids()["trace_id"],
+            **details,
+        })
+        self.next_event_id += 1
+        if kind == "error":
+            self.error_count += 1
+
+    def record_received(self, data: str):
+        size = len(data.encode())
+        self.messages_in += 1
+        self.bytes_in += size
+        self.record("message_in", data[:TIMELINE_PREVIEW_CHARS], bytes=size)
+
+    def record_sent(self, data: str, on_timeline: bool = True):
+        size = len(data.encode())
+        self.messages_out += 1
+        self.bytes_out += size
+        if on_timeline:
+            self.record("message_out", data[:TIMELINE_PREVIEW_CHARS], bytes=size)
+
+    def to_dict(self) -> Dict:
+        ended_at = self.disconnected_at or time.time()
+        return {
+            "id": self.client_id,
+            "status": "connected" if self.disconnected_at is None else "disconnected",
+            "connected_at": iso_timestamp(self.connected_at),
+            "disconnected_at": iso_timestamp(self.disconnected_at),
+            "duration_seconds": int(ended_at - self.connected_at),
+            "remote_address": self.remote_address,
+            "user_agent": self.user_agent,
+            "transport": self.transport,
+            "protocol_version": self.protocol_version,
+            "client_info": self.client_info,
+            "client_capabilities": self.client_capabilities,
+            "messages_in": self.messages_in,
+            "messages_out": self.messages_out,
+            "bytes_in": self.bytes_in,
+            "bytes_out": self.bytes_out,
+            "error_count": self.error_count,
+            "tools_used": sorted(self.tool_counts),
+            "tool_counts": dict(self.tool_counts),
+        }
+
+MessageHandler = Callable[[Dict], Awaitable[None]]
+
+def latency_bucket(latency_ms: float) -> int:
+    """Index of the TOOL_LATENCY_BUCKETS_MS bucket a call of `latency_ms` falls in."""
+    return next((i for i, bound in enumerate(TOOL_LATENCY_BUCKETS_MS) if latency_ms <= bound), len(TOOL_LATENCY_BUCKETS_MS))
+
+class ToolStats:
+    """
+    Outcome counts, latency histogram and most recent error for one tool, as
+    kept by the state backend.
     """
     def __init__(self):
+        self.call_count = 0
+        self.success_count = 0
+        self.failure_count = 0
+        self.total_latency_ms = 0.0
+        self.latency_buckets = [0] * (len(TOOL_LATENCY_BUCKETS_MS) + 1)
+        self.last_error: Optional[str] = None
+        self.last_error_at: Optional[float] = None
+        self.last_called_at: Optional[float] = None
+
+    @classmethod
+    def from_fields(cls, fields: Dict) -> "ToolStats":
+        """Rebuild stats from the flat hash fields RedisStateBackend stores."""
+        fields = {decode(name): decode(value) for name, value in fields.items()}
+        stats = cls()
+        stats.call_count = int(fields.get("call_count", 0))
+        stats.success_count = int(fields.get("success_count", 0))
+        stats.failure_count = int(fields.get("failure_count", 0))
+        stats.total_latency_ms = float(fields.get("total_latency_ms", 0))
+        stats.latency_buckets = [int(fields.get(f"bucket:{i}", 0)) for i in range(len(stats.latency_buckets))]
+        stats.last_error = fields.get("last_error")
+        stats.last_error_at = float(fields["last_error_at"]) if "last_error_at" in fields else None
+        stats.last_called_at = float(fields["last_called_at"]) if "last_called_at" in fields else None
+        return stats
+
+    def record(self, latency_ms: float, error: Optional[str] = None):
+        self.call_count += 1
+        self.total_latency_ms += latency_ms
+        self.last_called_at = time.time()
+        self.latency_buckets[latency_bucket(latency_ms)] += 1
+        if error is None:
+            self.success_count += 1
+        else:
+            self.failure_count += 1
+            self.last_error = error
+            self.last_error_at = self.last_called_at
+
+    def to_dict(self) -> Dict:
+        bounds = list(TOOL_LATENCY_BUCKETS_MS) + [None]
+        return {
+            "call_count": self.call_count,
+            "success_count": self.success_count,
+            "failure_count": self.failure_count,
+            # Percentages and milliseconds, as rendered by the dashboard tool cards
+            "success_rate": round(self.success_count / self.call_count * 100, 1) if self.call_count else None,
+            "avg_response_time": self.total_latency_ms / self.call_count if self.call_count else None,
+            "latency_histogram": [{"le_ms": bound, "count": count} for bound, count in zip(bounds, self.latency_buckets)],
+            "last_error": self.last_error,
+            "last_error_at": self.last_error_at,
+            "last_called_at": self.last_called_at,
+        }
+
+
+class StateBackend:
+    """
+    Storage for state every worker shares: counters, the log stream, the
+    registry of open connections and pub/sub channels. Per-worker details such
+    as sockets and connection timelines stay in ServerState.
+    """
+    name = "base"
+
+    async def start(self):
+        pass
+
+    async def stop(self):
+        pass
+
+    async def status(self) -> Dict:
+        """Backend health fields merged into the metrics snapshot."""
+        return {}
+
+    async def increment(self, counter: str, amount: int = 1):
+        raise NotImplementedError
+
+    async def record_tool_call(self, tool: str, latency_ms: float, error: Optional[str] = None):
+        raise NotImplementedError
+
+    async def counters(self) -> Dict[str, int]:
+        raise NotImplementedError
+
+    async def tool_stats(self) -> Dict[str, ToolStats]:
+        """Statistics of every tool called since the last reset, keyed by tool name."""
+        raise NotImplementedError
+
+    async def tool_usage(self) -> Dict[str, int]:
+        # Derived from the tool statistics so the two can never disagree
+        return {tool: stats.call_count for tool, stats in (await self.tool_stats()).items()}
+
+    async def reset_counters(self):
+        """Zero the counters and the tool statistics."""
+        raise NotImplementedError
+
+    async def append_log(self, entry: Dict) -> Dict:
+        """Assign the next log id to `entry`, store it and return it."""
+        raise NotImplementedError
+
+    async def read_logs(self) -> List[Dict]:
+        """Every buffered record, oldest first."""
+        raise NotImplementedError
+
+    async def latest_log_id(self) -> int:
+        raise NotImplementedError
+
+    async def clear_logs(self) -> int:
+        raise NotImplementedError
+
+    async def register_connection(self, client_id: str, info: Dict):
+        raise NotImplementedError
+
+    async def unregister_connection(self, client_id: str) -> bool:
+        """
+        Drop this worker's entry for `client_id`. An entry another worker has
+        since taken over stays, and the call returns False.
+        """
+        raise NotImplementedError
+
+    async def open_connections(self) -> Dict[str, Dict]:
+        """Open connections on every worker, keyed by client id."""
+        raise NotImplementedError
+
+    async def publish(self, channel: str, message: Dict) -> int:
+        """Send `message` to every subscriber of `channel`; returns how many workers received it."""
+        raise NotImplementedError
+
+    async def subscribe(self, channel: str, handler: MessageHandler):
+        raise NotImplementedError
+
+class MemoryStateBackend(StateBackend):
+    """
+    Keeps shared state in this process. Counts and logs reset on restart and
+    each worker sees only its own connections.
+    """
+    name = "memory"
+
+    def __init__(self, log_size: int = LOG_BUFFER_SIZE):
+        self._counters: Dict[str, int] = defaultdict(int)
+        self._tool_stats: Dict[str, ToolStats] = defaultdict(ToolStats)
+        self._logs = deque(maxlen=log_size)
+        self._next_log_id = 1
+        self._connections: Dict[str, Dict] = {}
+        self._handlers: Dict[str, List[MessageHandler]] = defaultdict(list)
+
+    async def increment(self, counter: str, amount: int = 1):
+        self._counters[counter] += amount
+
+    async def record_tool_call(self, tool: str, latency_ms: float, error: Optional[str] = None):
+        self._tool_stats[tool].record(latency_ms, error)
+
+    async def counters(self) -> Dict[str, int]:
+        return dict(self._counters)
+
+    async def tool_stats(self) -> Dict[str, ToolStats]:
+        return dict(self._tool_stats)
+
+    async def reset_counters(self):
+        self._counters.clear()
+        self._tool_stats.clear()
+
+    async def append_log(self, entry: Dict) -> Dict:
+        entry = {"id": self._next_log_id, **entry}
+        self._next_log_id += 1
+        self._logs.append(entry)
+        return entry
+
+    async def read_logs(self) -> List[Dict]:
+        return list(self._logs)
+
+    async def latest_log_id(self) -> int:
+        return self._next_log_id - 1
+
+    async def clear_logs(self) -> int:
+        cleared = len(self._logs)
+        self._logs.clear()
+        return cleared
+
+    async def register_connection(self, client_id: str, info: Dict):
+        self._connections[client_id] = info
+
+    async def unregister_connection(self, client_id: str) -> bool:
+        self._connections.pop(client_id, None)
+        return True
+
+    async def open_connections(self) -> Dict[str, Dict]:
+        return dict(self._connections)
+
+    async def publish(self, channel: str, message: Dict) -> int:
+        for handler in self._handlers[channel]:
+            await handler(message)
+        return 1 if self._handlers[channel] else 0
+
+    async def subscribe(self, channel: str, handler: MessageHandler):
+        self._handlers[channel].append(handler)
+
+class RedisStateBackend(StateBackend):
+    """
+    Keeps shared state in Redis so several workers see the same counters,
+    logs and connections, and counts survive a restart. Takes any
+    redis.asyncio-compatible client, e.g. fakeredis.aioredis.FakeRedis.
+
+    Keys (all under `prefix`): the "counters" hash, a "tool_stats:<tool>" hash
+    per tool with its names in the "tool_stats" set, the "logs" list
+    of JSON records capped at `log_size` with ids from "logs:next_id", the
+    "connections" hash of client id to JSON info, and an expiring
+    "workers:<worker id>" heartbeat per worker. Channels are prefixed too.
+    """
+    name = "redis"
+
+    def __init__(
+        self,
+        client,
+        prefix: str = REDIS_KEY_PREFIX,
+        log_size: int = LOG_BUFFER_SIZE,
+        worker_id: str = WORKER_ID,
+        heartbeat_interval: float = WORKER_HEARTBEAT_INTERVAL,
+        heartbeat_ttl: int = WORKER_HEARTBEAT_TTL,
+    ):
+        self.client = client
+        self.prefix = prefix
+        self.log_size = log_size
+        self.worker_id = worker_id
+        self.heartbeat_interval = heartbeat_interval
+        self.heartbeat_ttl = heartbeat_ttl
+        self._pubsub = None
+        self._handlers: Dict[str, List[MessageHandler]] = defaultdict(list)
+        self._listener: Optional[asyncio.Task] = None
+        self._heartbeat: Optional[asyncio.Task] = None
+        # This worker's own registry entries, restored if its heartbeat lapses
+        self._registered: Dict[str, str] = {}
+
+    def key(self, name: str) -> str:
+        return f"{self.prefix}{name}"
+
+    async def start(self):
+        await self.client.ping()
+        self._pubsub = self.client.pubsub()
+        # Beat once before returning so this worker's connections are never pruned
+        await self.beat()
+        self._heartbeat = asyncio.create_task(self._beat_periodically())
+
+    async def beat(self):
+        lapsed = await self.client.set(self.key(f"workers:{self.worker_id}"), "1", ex=self.heartbeat_ttl, get=True) is None
+        if lapsed and self._registered:
+            # Another worker may have pruned our entries while Redis was unreachable
+            await self.client.hset(self.key("connections"), mapping=self._registered)
+
+    async def _beat_periodically(self):
+        while True:
+            await asyncio.sleep(self.heartbeat_interval)
+            try:
+                await self.beat()
+            except Exception as e:
+                logger.warning(f"Redis heartbeat failed: {e}")
+
+    async def stop(self):
+        if self._heartbeat:
+            self._heartbeat.cancel()
+        if self._listener:
+            self._listener.cancel()
+            try:
+                await self._listener
+            except asyncio.CancelledError:
+                pass
+        if self._pubsub:
+            await self._pubsub.aclose()
+        # Connections of this worker end with it; drop them from the shared registry
+        for client_id, info in (await self.open_connections()).items():
+            if info.get("worker") == self.worker_id:
+                await self.unregister_connection(client_id)
+        await self.client.delete(self.key(f"workers:{self.worker_id}"))
+        await self.client.aclose()
+
+    async def status(self) -> Dict:
+        started = time.perf_counter()
+        try:
+            await self.client.ping()
+        except Exception as e:
+            logger.warning(f"Redis ping failed: {e}")
+            return {"redis_status": "disconnected", "redis_latency": None}
+        return {"redis_status": "connected", "redis_latency": (time.perf_counter() - started) * 1000}
+
+    async def increment(self, counter: str, amount: int = 1):
+        await self.client.hincrby(self.key("counters"), counter, amount)
+
+    async def record_tool_call(self, tool: str, latency_ms: float, error: Optional[str] = None):
+        key = self.key(f"tool_stats:{tool}")
+        now = time.time()
+        async with self.client.pipeline(transaction=True) as pipe:
+            pipe.sadd(self.key("tool_stats"), tool)
+            pipe.hincrby(key, "call_count", 1)
+            pipe.hincrby(key, "success_count" if error is None else "failure_count", 1)
+            pipe.hincrbyfloat(key, "total_latency_ms", latency_ms)
+            pipe.hincrby(key, f"bucket:{latency_bucket(latency_ms)}", 1)
+            last = {"last_called_at": now}
+            if error is not None:
+                last.update({"last_error": error, "last_error_at": now})
+            pipe.hset(key, mapping=last)
+            await pipe.execute()
+
+    async def counters(self) -> Dict[str, int]:
+        return {decode(name): int(value) for name, value in (await self.client.hgetall(self.key("counters"))).items()}
+
+    async def tool_stats(self) -> Dict[str, ToolStats]:
+        tools = sorted(decode(tool) for tool in await self.client.smembers(self.key("tool_stats")))
+        async with self.client.pipeline(transaction=False) as pipe:
+            for tool in tools:
+                pipe.hgetall(self.key(f"tool_stats:{tool}"))
+            hashes = await pipe.execute()
+        return {tool: ToolStats.from_fields(fields) for tool, fields in zip(tools, hashes) if fields}
+
+    async def reset_counters(self):
+        tools = [decode(tool) for tool in await self.client.smembers(self.key("tool_stats"))]
+        await self.client.delete(
+            self.key("counters"), self.key("tool_stats"),
+            *(self.key(f"tool_stats:{tool}") for tool in tools),
+        )
+
+    async def append_log(self, entry: Dict) -> Dict:
+        entry = {"id": await self.client.incr(self.key("logs:next_id")), **entry}
+        async with self.client.pipeline(transaction=True) as pipe:
+            pipe.rpush(self.key("logs"), json.dumps(entry))
+            pipe.ltrim(self.key("logs"), -self.log_size, -1)
+            await pipe.execute()
+        return entry
+
+    async def read_logs(self) -> List[Dict]:
+        records = [json.loads(raw) for raw in await self.client.lrange(self.key("logs"), 0, -1)]
+        # Workers take ids before pushing, so concurrent appends can land out of order
+        return sorted(records, key=lambda entry: entry["id"])
+
+    async def latest_log_id(self) -> int:
+        return int(await self.client.get(self.key("logs:next_id")) or 0)
+
+    async def clear_logs(self) -> int:
+        async with self.client.pipeline(transaction=True) as pipe:
+            pipe.llen(self.key("logs"))
+            pipe.delete(self.key("logs"))
+            cleared, _ = await pipe.execute()
+        return cleared
+
+    async def register_connection(self, client_id: str, info: Dict):
+        if info.get("worker") == self.worker_id:
+            self._registered[client_id] = json.dumps(info)
+        await self.client.hset(self.key("connections"), client_id, json.dumps(info))
+
+    async def unregister_connection(self, client_id: str) -> bool:
+        self._registered.pop(client_id, None)
+        info = await self.client.hget(self.key("connections"), client_id)
+        if info is not None and json.loads(info).get("worker") != self.worker_id:
+            return False
+        await self.client.hdel(self.key("connections"), client_id)
+        return True
+
+    async def open_connections(self) -> Dict[str, Dict]:
+        raw = await self.client.hgetall(self.key("connections"))
+        connections = {decode(client_id): json.loads(info) for client_id, info in raw.items()}
+        workers = sorted({info.get("worker") for info in connections.values()}, key=str)
+        async with self.client.pipeline(transaction=False) as pipe:
+            for worker in workers:
+                pipe.exists(self.key(f"workers:{worker}"))
+            alive = {worker for worker, beating in zip(workers, await pipe.execute()) if beating}
+        stale = [client_id for client_id, info in connections.items() if info.get("worker") not in alive]
+        if stale:
+            # Their worker died without unregistering them
+            await self.client.hdel(self.key("connections"), *stale)
+            logger.info(f"Pruned {len(stale)} connection(s) of workers with expired heartbeats")
+        return {client_id: info for client_id, info in connections.items() if client_id not in stale}
+
+    async def publish(self, channel: str, message: Dict) -> int:
+        return await self.client.publish(self.key(channel), json.dumps(message))
+
+    async def subscribe(self, channel: str, handler: MessageHandler):
+        self._handlers[self.key(channel)].append(handler)
+        await self._pubsub.subscribe(self.key(channel))
+        if self._listener is None:
+            self._listener = asyncio.create_task(self._listen())
+
+    async def _listen(self):
+        """Dispatch pub/sub messages until stopped, reconnecting with backoff whenever Redis drops."""
+        attempt = 0
+        while True:
+            try:
+                if attempt:
+                    # Start over on a fresh connection and subscribe to every channel again
+                    await self._pubsub.aclose()
+                    self._pubsub = self.client.pubsub()
+                    await self._pubsub.subscribe(*self._handlers)
+                    logger.info("Redis pub/sub listener reconnected")
+                    attempt = 0
+                async for message in self._pubsub.listen():
+                    if message["type"] != "message":
+                        continue
+                    for handler in self._handlers[decode(message["channel"])]:
+                        try:
+                            await handler(json.loads(message["data"]))
+                        except Exception as e:
+                            logger.error(f"Pub/sub handler failed on {decode(message['channel'])}: {e}")
+                return
+            except asyncio.CancelledError:
+                raise
+            except Exception as e:
+                delay = min(PUBSUB_RECONNECT_BASE_DELAY * 2 ** attempt, PUBSUB_RECONNECT_MAX_DELAY)
+                attempt += 1
+                logger.error(f"Redis pub/sub listener failed, reconnecting in {delay:g}s: {e}")
+                await asyncio.sleep(delay)
+
+def decode(value) -> str:
+    return value.decode() if isinstance(value, bytes) else value
+
+def create_state_backend() -> StateBackend:
+    if STATE_BACKEND == "redis":
+        import redis.asyncio as redis
+        logger.info("Using the Redis state backend")
+        return RedisStateBackend(redis.from_url(REDIS_URL))
+    if STATE_BACKEND != "memory":
+        raise ValueError(f"Unknown STATE_BACKEND: {STATE_BACKEND}")
+    return MemoryStateBackend()
+
+class ServerState:
+    """
+    Global server state. Counters, logs and the connection registry live in the
+    state backend; sessions of this worker's own clients are kept here.
+    """
+    def __init__(self, backend: StateBackend):
+        self.backend = backend
         self.start_time = time.time()
-        self.total_requests = 0
-        self.active_connections = 0
-        self.tool_usage = defaultdict(int)
-        self.logs = []
-        self.connections = {}
-
-    def add_log(self, message: str):
-        self.logs.append({"timestamp": time.time(), "message": message})
-
-    def track_connection(self, client_id: str, websocket: WebSocket):
-        self.active_connections += 1
-        self.connections[client_id] = websocket
-        self.add_log(f"Connection opened: {client_id}")
-
-    def untrack_connection(self, client_id: str):
-        self.active_connections -= 1
+        self.connections: Dict[str, ConnectionSession] = {}
+        self.closed_connections = deque(maxlen=CLOSED_CONNECTIONS_KEPT)
+        self.listeners = []
+
+    async def start(self):
+        await self.backend.start()
+        await self.backend.subscribe("events", self._dispatch)
+
+    async def stop(self):
+        await self.backend.stop()
+
+    def subscribe(self, listener):
+        """Register a callable invoked as listener(topic, payload) on every state event, from any worker."""
+        self.listeners.append(listener)
+
+    async def emit(self, topic: str, payload: Dict):
+        await self.backend.publish("events", {"topic": topic, "payload": payload})
+
+    async def _dispatch(self, event: Dict):
+        for listener in self.listeners:
+            listener(event["topic"], event["payload"])
+
+    async def snapshot_metrics(self) -> Dict:
+        """
+        Shared counters plus backend health. If the backend cannot be read the
+        counters are left out, so the health fields still report the outage.
+        """
+        metrics = {
+            "tools_available": len(tool_registry.tools),
+            "uptime": time.time() - self.start_time,
+            "state_backend": self.backend.name,
+            **await self.backend.status(),
+        }
+        try:
+            counters = await self.backend.counters()
+            metrics.update({
+                "total_requests": counters.get("total_requests", 0),
+                "websocket_errors": counters.get("websocket_errors", 0),
+                "active_connections": len(await self.backend.open_connections()),
+                "tool_usage": await self.backend.tool_usage(),
+            })
+        except Exception as e:
+            logger.warning(f"Could not read shared counters: {e}")
+        return metrics
+
+    async def count_request(self):
+        await self.backend.increment("total_requests")
+
+    async def count_websocket_error(self):
+        await self.backend.increment("websocket_errors")
+
+    async def add_log(
+        self,
+        message: str,
+        level: str = "INFO",
+        logger_name: str = "server",
+        client_id: Optional[str] = None,
+        tool: Optional[str] = None,
+        request_id: Optional[str] = None,
+    ):
+        """
+        Append a structured log record. Each record gets a monotonically
+        increasing `id` that clients use as a cursor, and the trace and span
+        ids of the span it was written in, if any.
+        """
+        entry = await self.backend.append_log({
+            "timestamp": time.time(),
+            "level": level,
+            "logger": logger_name,
+            "message": message,
+            "client_id": client_id,
+            "tool": tool,
+            "request_id": request_id,
+            **current_trace_ids(),
+        })
+        await self.emit("logs", entry)
+
+    async def clear_logs(self) -> int:
+        """Drop every buffered record. Ids keep increasing so client cursors stay valid."""
+        return await self.backend.clear_logs()
+
+    async def reset_counters(self):
+        # Tool statistics live in the backend, so this resets them for every worker
+        await self.backend.reset_counters()
+
+    async def query_logs(
+        self,
+        since: Optional[int] = None,
+        before: Optional[int] = None,
+        levels: Optional[List[str]] = None,
+        q: Optional[str] = None,
+        limit: int = 200,
+    ) -> Dict:
+        """
+        Cursor-based log query, always returned oldest first.
+
+        With `since`, returns up to `limit` matching records newer than that id
+        (tailing); `has_more` means more newer records are waiting. Otherwise
+        returns the newest `limit` matching records older than `before` (or the
+        newest overall); `has_more` means older matches exist. `cursor` is the
+        id to pass as `since` on the next tail request, and `truncated` flags
+        that records after `since` were already evicted from the buffer.
+        """
+        needle = q.lower() if q else None
+
+        def matches(entry):
+            if levels and entry["level"] not in levels:
+                return False
+            if needle is None:
+                return True
+            haystack = " ".join(str(entry[field] or "") for field in ("message", "logger", "client_id", "tool", "request_id", "trace_id"))
+            return needle in haystack.lower()
+
+        logs = await self.backend.read_logs()
+        latest_id = await self.backend.latest_log_id()
+        oldest_id = logs[0]["id"] if logs else latest_id + 1
+
+        if since is not None:
+            selected = []
+            has_more = False
+            cursor = since
+            for entry in logs:
+                if entry["id"] <= since:
+                    continue
+                if not matches(entry):
+                    cursor = entry["id"]
+                    continue
+                if len(selected) == limit:
+                    has_more = True
+                    break
+                selected.append(entry)
+                cursor = entry["id"]
+            return {
+                "logs": selected,
+                "cursor": cursor if has_more else max(cursor, latest_id),
+                "has_more": has_more,
+                "truncated": since + 1 < oldest_id,
+            }
+
+        selected = []
+        has_more = False
+        for entry in reversed(logs):
+            if before is not None and entry["id"] >= before:
+                continue
+            if not matches(entry):
+                continue
+            if len(selected) == limit:
+                has_more = True
+                break
+            selected.append(entry)
+        selected.reverse()
+        return {"logs": selected, "cursor": latest_id, "has_more": has_more, "truncated": False}
+
+    async def track_connection(self, client_id: str, connection: Union[WebSocket, Request], transport: str = "websocket") -> ConnectionSession:
+        session = ConnectionSession(client_id, connection, transport)
+        session.record("connected", f"Connected from {session.remote_address or 'an unknown address'}")
+        self.connections[client_id] = session
+        await self.register_connection(session)
+        await self.add_log(f"Connection opened: {client_id}", logger_name="connections", client_id=client_id)
+        await self.emit("connections", {"action": "opened", "id": client_id, "timestamp": time.time()})
+        return session
+
+    async def register_connection(self, session: ConnectionSession):
+        """
+        Publish what other workers list for this connection; called again once
+        `initialize` has negotiated the protocol, and by every HTTP request so
+        the worker that served a session last owns it.
+        """
+        await self.backend.register_connection(session.client_id, {
+            "worker": WORKER_ID,
+            "connected_at": session.connected_at,
+            "remote_address": session.remote_address,
+            "transport": session.transport,
+            "protocol_version": session.protocol_version,
+            "client_info": session.client_info,
+            "client_capabilities": session.client_capabilities,
+            "initialized": session.initialized,
+        })
+
+    async def adopt_http_session(self, client_id: str, request: Request) -> Optional[ConnectionSession]:
+        """
+        Take over a streamable HTTP session that another worker opened, from
+        what the registry holds. Its traffic counters and timeline start over
+        on this worker.
+        """
+        info = (await self.backend.open_connections()).get(client_id)
+        if not info or info.get("transport") != "http":
+            return None
+        session = ConnectionSession(client_id, request, transport="http")
+        session.connected_at = info.get("connected_at") or session.connected_at
+        session.protocol_version = info.get("protocol_version")
+        session.client_info = info.get("client_info")
+        session.client_capabilities = info.get("client_capabilities")
+        session.initialized = bool(info.get("initialized"))
+        session.record("connected", f"Session taken over from worker {info.get('worker')}")
+        self.connections[client_id] = session
+        await self.register_connection(session)
+        await self.add_log(f"HTTP session {client_id} taken over from worker {info.get('worker')}", level="DEBUG", logger_name="connections", client_id=client_id)
+        return session
+
+    async def untrack_connection(self, client_id: str):
+        owned = await self.backend.unregister_connection(client_id)
+        session = self.connections.pop(client_id, None)
+        if session:
+            if not owned:
+                session.close_reason = "Session continued on another worker"
+            session.disconnected_at = time.time()
+            session.record("disconnected", session.close_reason or "Client disconnected")
+            self.closed_connections.append(session)
+        if not owned:
+            # Still open elsewhere; only this worker's copy ended
+            return
+        await self.add_log(f"Connection closed: {client_id}", logger_name="connections", client_id=client_id)
+        await self.emit("connections", {"action": "closed", "id": client_id, "timestamp": time.time()})
+
+    async def list_connections(self) -> List[Dict]:
+        """
+        Open sessions of this worker, then open connections held by other
+        workers (summary only), then this worker's recently closed sessions.
+        """
+        local = [session.to_dict() for session in self.connections.values()]
+        remote = [
+            remote_connection_dict(client_id, info)
+            for client_id, info in (await self.backend.open_connections()).items()
+            if client_id not in self.connections
+        ]
+        closed = [session.to_dict() for session in reversed(self.closed_connections)]
+        return local + remote + closed
+
+    def get_session(self, client_id: str) -> Optional[ConnectionSession]:
         if client_id in self.connections:
-            del self.connections[client_id]
-        self.add_log(f"Connection closed: {client_id}")
+            return self.connections[client_id]
+        return next((session for session in reversed(self.closed_connections) if session.client_id == client_id), None)
+
+    async def record_tool_call(self, tool_name: str, latency_ms: float, error: Optional[str] = None):
+        await self.backend.record_tool_call(tool_name, latency_ms, error)
+
+def remote_connection_dict(client_id: str, info: Dict) -> Dict:
+    return {
+        "id": client_id,
+        "status": "connected",
+        "connected_at": iso_timestamp(info.get("connected_at")),
+        "duration_seconds": int(time.time() - info["connected_at"]) if info.get("connected_at") else None,
+        "remote_address": info.get("remote_address"),
+        "worker": info.get("worker"),
+        "transport": info.get("transport"),
+        "protocol_version": info.get("protocol_version"),
+        "client_info": info.get("client_info"),
+        "tools_used": [],
+    }
+
+server_state = ServerState(create_state_backend())
+
+class ToolRegistry:
+    """
+    Tools callable over the WebSocket, with their input schemas. Their call
+    statistics are kept by the state backend.
+    """
+    def __init__(self):
+        self.tools: Dict[str, Dict] = {}
+
+    def register(self, name: str, description: str, input_schema: Dict):
+        """
+        Decorator registering an async generator handler that receives the call
+        parameters and yields output chunks.
+        """
+        def decorator(handler):
+            self.tools[name] = {
+                "name": name,
+                "description": description,
+                "input_schema": input_schema,
+                "handler": handler,
+            }
+            return handler
+        return decorator
+
+    def get(self, name: str) -> Optional[Dict]:
+        return self.tools.get(name)
+
+    def describe(self, stats: Dict[str, ToolStats]) -> List[Dict]:
+        """Every tool with its statistics from `stats`; tools never called get zeros."""
+        return [
+            {
+                "name": tool["name"],
+                "description": tool["description"],
+                "input_schema": tool["input_schema"],
+                **stats.get(tool["name"], ToolStats()).to_dict(),
+            }
+            for tool in self.tools.values()
+        ]
+
+tool_registry = ToolRegistry()
+
+JSON_SCHEMA_TYPES = {
+    "string": lambda value: isinstance(value, str),
+    "number": lambda value: isinstance(value, (int, float)) and not isinstance(value, bool),
+    "integer": lambda value: isinstance(value, int) and not isinstance(value, bool),
+    "boolean": lambda value: isinstance(value, bool),
+    "object": lambda value: isinstance(value, dict),
+    "array": lambda value: isinstance(value, list),
+    "null": lambda value: value is None,
+}
+
+def schema_errors(schema: Dict, value: Any, path: str = "arguments") -> List[str]:
+    """
+    Check `value` against the JSON Schema subset tool input schemas use:
+    type, properties, required, additionalProperties (false), items and enum.
+    Returns one message per problem, empty when the value is valid.
+    """
+    expected = schema.get("type")
+    if expected is not None:
+        types = expected if isinstance(expected, list) else [expected]
+        if not any(JSON_SCHEMA_TYPES[name](value) for name in types):
+            return [f"{path} must be {' or '.join(types)}"]
+    if "enum" in schema and value not in schema["enum"]:
+        return [f"{path} must be one of {', '.join(json.dumps(option) for option in schema['enum'])}"]
+
+    errors = []
+    if isinstance(value, dict):
+        properties = schema.get("properties", {})
+        errors += [f"{path}.{name} is required" for name in schema.get("required", []) if name not in value]
+        for name, item in value.items():
+            if name in properties:
+                errors += schema_errors(properties[name], item, f"{path}.{name}")
+            elif schema.get("additionalProperties") is False:
+                errors.append(f"{path}.{name} is not allowed")
+    elif isinstance(value, list) and isinstance(schema.get("items"), dict):
+        for index, item in enumerate(value):
+            errors += schema_errors(schema["items"], item, f"{path}[{index}]")
+    return errors
+
+def validate_tool_arguments(tool: Dict, arguments: Any):
+    """Raise an invalid params JsonRpcError unless `arguments` match the tool's input schema."""
+    errors = schema_errors(tool["input_schema"], arguments)
+    if errors:
+        raise JsonRpcError(JSONRPC_INVALID_PARAMS, f"Invalid arguments for {tool['name']}: {'; '.join(errors)}", errors)
+
+OPENMETRICS_CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8"
+
+def escape_openmetrics_label(value: str) -> str:
+    return value.replace("\\", "\\\\").replace('"', '\\"').replace("\n", "\\n")
+
+def format_openmetrics_labels(labels: Dict[str, str]) -> str:
+    if not labels:
+        return ""
+    pairs = ",".join(f'{key}="{escape_openmetrics_label(str(value))}"' for key, value in labels.items())
+    return "{" + pairs + "}"
+
+def format_openmetrics_value(value: float) -> str:
+    if value == float("inf"):
+        return "+Inf"
+    return repr(float(value)) if isinstance(value, float) else str(value)
+
+async def render_openmetrics() -> str:
+    """
+    Render ServerState and the tool registry in the OpenMetrics text format.
+    /api/metrics and /api/tools report the same counters as JSON.
+    """
+    metrics = await server_state.snapshot_metrics()
+    lines: List[str] = []
+
+    def family(name: str, metric_type: str, help_text: str, samples: List[Tuple[str, Dict[str, str], float]]):
+        lines.append(f"# TYPE {name} {metric_type}")
+        lines.append(f"# HELP {name} {help_text}")
+        for suffix, labels, value in samples:
+            lines.append(f"{name}{suffix}{format_openmetrics_labels(labels)} {format_openmetrics_value(value)}")
+
+    family("mcp_uptime_seconds", "gauge", "Seconds since the server started.",
+           [("", {}, metrics["uptime"])])
+    # Shared counters are missing while the state backend is unreachable
+    if "total_requests" in metrics:
+        family("mcp_requests", "counter", "Messages received from MCP client WebSockets.",
+               [("_total", {}, metrics["total_requests"])])
+        family("mcp_active_connections", "gauge", "Open MCP client connections.",
+               [("", {}, metrics["active_connections"])])
+        family("mcp_websocket_errors", "counter", "MCP client WebSocket messages or sessions that failed with an error.",
+               [("_total", {}, metrics["websocket_errors"])])
+    family("mcp_tools_registered", "gauge", "Tools available in the registry.",
+           [("", {}, metrics["tools_available"])])
+    if "redis_status" in metrics:
+        family("mcp_redis_up", "gauge", "Whether the Redis state backend answered a ping.",
+               [("", {}, 1 if metrics["redis_status"] == "connected" else 0)])
+        if metrics["redis_latency"] is not None:
+            family("mcp_redis_ping_seconds", "gauge", "Round-trip time of the last Redis ping.",
+                   [("", {}, metrics["redis_latency"] / 1000)])
+
+    try:
+        tool_stats = await server_state.backend.tool_stats()
+    except Exception as e:
+        logger.warning(f"Could not read tool statistics: {e}")
+        lines.append("# EOF")
+        return "\n".join(lines) + "\n"
+
+    calls = []
+    durations = []
+    for name in tool_registry.tools:
+        stats = tool_stats.get(name, ToolStats())
+        calls.append(("_total", {"tool": name, "outcome": "success"}, stats.success_count))
+        calls.append(("_total", {"tool": name, "outcome": "failure"}, stats.failure_count))
+        cumulative = 0
+        for bound, count in zip(list(TOOL_LATENCY_BUCKETS_MS) + [float("inf")], stats.latency_buckets):
+            cumulative += count
+            le = "+Inf" if bound == float("inf") else format_openmetrics_value(bound / 1000)
+            durations.append(("_bucket", {"tool": name, "le": le}, cumulative))
+        durations.append(("_sum", {"tool": name}, stats.total_latency_ms / 1000))
+        durations.append(("_count", {"tool": name}, stats.call_count))
+    family("mcp_tool_calls", "counter", "Tool calls by tool and outcome.", calls)
+    family("mcp_tool_call_duration_seconds", "histogram", "Tool call latency.", durations)
 
-    def increment_tool_usage(self, tool_name: str):
-        self.tool_usage[tool_name] += 1
+    lines.append("# EOF")
+    return "\n".join(lines) + "\n"
+
+class AuditLog:
+    """
+    Bounded record of admin actions: who did what to which target, and the outcome.
+    Kept apart from the server logs so that clearing those does not erase it.
+    """
+    def __init__(self, size: int):
+        self.entries = deque(maxlen=size)
+        self.next_id = 1
+
+    def record(self, admin: Dict, action: str, target: Optional[str] = None, outcome: str = "ok", details: Optional[Dict] = None) -> Dict:
+        entry = {
+            "id": self.next_id,
+            "timestamp": iso_timestamp(time.time()),
+            "actor": admin["actor"],
+            "remote_address": admin["remote_address"],
+            "action": action,
+            "target": target,
+            "outcome": outcome,
+            "details": details or {},
+        }
+        self.next_id += 1
+        self.entries.append(entry)
+        logger.info(f"Audit: {entry['actor']} {action} {target or '-'} ({outcome})")
+        return entry
+
+    def recent(self, limit: int) -> List[Dict]:
+        return list(self.entries)[-limit:][::-1]
+
+audit_log = AuditLog(AUDIT_LOG_SIZE)
+
+class DashboardHub:
+    """
+    Pushes state events to dashboard-role WebSocket clients.
+
+    Dashboards connect to /ws/{client_id}?role=dashboard and send
+    {"type": "subscribe", "payload": {"topics": [...]}} to choose which of
+    the "metrics", "logs" and "connections" topics they receive. Dashboards
+    are observers and are not counted as agent connections.
+    """
+    TOPICS = ("metrics", "logs", "connections")
+    MESSAGE_TYPES = {
+        "metrics": "metrics_update",
+        "logs": "log_entry",
+        "connections": "connection_event",
+    }
+
+    def __init__(self):
+        self.subscribers: Dict[str, Tuple[WebSocket, set]] = {}
+
+    async def connect(self, websocket: WebSocket, client_id: str):
+        await websocket.accept()
+        self.subscribers[client_id] = (websocket, set(self.TOPICS))
+
+    def disconnect(self, client_id: str):
+        self.subscribers.pop(client_id, None)
 
-server_state = ServerState()
+    def set_topics(self, client_id: str, topics: List[str]):
+        if client_id in self.subscribers:
+            websocket, _ = self.subscribers[client_id]
+            self.subscribers[client_id] = (websocket, {t for t in topics if t in self.TOPICS})
+
+    def publish(self, topic: str, payload: Dict):
+        """Schedule delivery of an event; safe to call from synchronous code."""
+        if not self.subscribers:
+            return
+        try:
+            loop = asyncio.get_running_loop()
+        except RuntimeError:
+            return
+        loop.create_task(self._deliver(topic, payload))
+
+    async def _deliver(self, topic: str, payload: Dict):
+        message = json.dumps({"type": self.MESSAGE_TYPES[topic], "payload": payload})
+        for client_id, (websocket, topics) in list(self.subscribers.items()):
+            if topic not in topics:
+                continue
+            try:
+                await websocket.send_text(message)
+            except Exception as e:
+                logger.warning(f"Dropping dashboard subscriber {client_id}: {e}")
+                self.disconnect(client_id)
+
+dashboard_hub = DashboardHub()
+server_state.subscribe(dashboard_hub.publish)
+
+async def push_metrics_periodically():
+    while True:
+        await asyncio.sleep(METRICS_PUSH_INTERVAL)
+        dashboard_hub.publish("metrics", await server_state.snapshot_metrics())
 
 @asynccontextmanager
 async def lifespan(app: FastAPI):
     logger.info("Server starting up")
-    server_state.add_log("Server starting up")
+    await server_state.start()
+    await server_state.backend.subscribe("control", handle_control_message)
+    await server_state.add_log("Server starting up")
+    metrics_task = asyncio.create_task(push_metrics_periodically())
     yield
+    metrics_task.cancel()
     logger.info("Server shutting down")
-    server_state.add_log("Server shutting down")
+    await server_state.add_log("Server shutting down")
+    await server_state.stop()
 
 class FastApiMCP(FastAPI):
     def __init__(self, *args, **kwargs):
@@ -75,6 +1261,38 @@ class UserMessage(BaseModel):
     message_id: str
     content: str
 
+class ToolCallRequest(ToolCall):
+    call_id: str
+
+class ClientMessage(BaseModel):
+    """
+    Envelope of the dashboard's own (pre-MCP) WebSocket messages.
+    """
+    type: Literal["user_message", "tool_call", "tool_output"]
+    payload: Dict
+    trace_id: Optional[str] = None
+
+class JsonRpcRequest(BaseModel):
+    """
+    A JSON-RPC 2.0 request, or a notification when `id` is absent. MCP only
+    uses named parameters, so `params` must be an object.
+    """
+    jsonrpc: Literal["2.0"]
+    id: Optional[Union[StrictStr, StrictInt]] = None
+    method: StrictStr
+    params: Dict = Field(default_factory=dict)
+
+class InitializeParams(BaseModel):
+    protocolVersion: StrictStr
+    capabilities: Dict
+    clientInfo: Dict
+
+class ToolCallParams(BaseModel):
+    name: StrictStr
+    arguments: Dict = Field(default_factory=dict)
+    # Request metadata; null is treated as absent, anything else must be an object
+    meta: Optional[Dict] = Field(None, alias="_meta")
+
 class ConnectionManager:
     def __init__(self):
         self.active_connections: Dict[str, WebSocket] = {}
@@ -82,87 +1300,865 @@ class ConnectionManager:
     async def connect(self, websocket: WebSocket, client_id: str):
         await websocket.accept()
         self.active_connections[client_id] = websocket
-        server_state.track_connection(client_id, websocket)
+        return await server_state.track_connection(client_id, websocket)
 
-    def disconnect(self, client_id: str):
-        server_state.untrack_connection(client_id)
+    async def disconnect(self, client_id: str):
         del self.active_connections[client_id]
+        await server_state.untrack_connection(client_id)
+
+    async def close(self, client_id: str, reason: str):
+        """
+        Close a client's socket from the server side. Its receive loop then sees
+        the disconnect and cleans up as usual.
+        """
+        server_state.connections[client_id].close_reason = reason
+        await self.active_connections[client_id].close(code=status.WS_1000_NORMAL_CLOSURE, reason=reason)
 
-    async def send_personal_message(self, message: str, client_id: str):
+    async def send_personal_message(self, message: str, client_id: str, on_timeline: bool = True):
         await self.active_connections[client_id].send_text(message)
+        session = server_state.connections.get(client_id)
+        if session:
+            session.record_sent(message, on_timeline=on_timeline)
 
-    async def broadcast(self, message: str):
-        for connection in self.active_connections.values():
-            await connection.send_text(message)
+    async def broadcast(self, message: str) -> int:
+        """
+        Send a message to every open client and return how many received it.
+        A failing socket is skipped rather than aborting the broadcast.
+        """
+        delivered = 0
+        for client_id in list(self.active_connections):
+            try:
+                await self.send_personal_message(message, client_id)
+                delivered += 1
+            except Exception as e:
+                logger.warning(f"Broadcast to {client_id} failed: {e}")
+        return delivered
 
 manager = ConnectionManager()
 
+async def handle_control_message(message: Dict):
+    """
+    Apply an admin action published on the "control" channel to the clients of
+    this worker. The publishing worker has already handled its own clients.
+    """
+    if message.get("origin") == WORKER_ID:
+        return
+    if message["action"] == "broadcast":
+        await manager.broadcast(message["data"])
+    elif message["action"] == "disconnect" and message["client_id"] in manager.active_connections:
+        await manager.close(message["client_id"], message["reason"])
+    elif message["action"] == "disconnect" and message["client_id"] in server_state.connections:
+        # A streamable HTTP session has no socket to close; it just ends
+        server_state.connections[message["client_id"]].close_reason = message["reason"]
+        await server_state.untrack_connection(message["client_id"])
+
+HealthCheck = Callable[[], Awaitable[Dict]]
+
+class HealthChecks:
+    """
+    Component checks reported by /health/ready. A check is an async function
+    returning at least {"status": "ok" | "degraded" | "down", "message": str};
+    extra keys are passed through as details. Raising or running past
+    HEALTH_CHECK_TIMEOUT reports the component as down. The server is not
+    ready while any critical component is down.
+    """
+    STATUSES = ("ok", "degraded", "down")
+
+    def __init__(self):
+        self.checks: Dict[str, Dict] = {}
+
+    def register(self, name: str, label: str, critical: bool = True):
+        def decorator(check: HealthCheck):
+            self.checks[name] = {"label": label, "critical": critical, "check": check}
+            return check
+        return decorator
+
+    async def run_check(self, name: str, entry: Dict) -> Dict:
+        started = time.perf_counter()
+        try:
+            result = await asyncio.wait_for(entry["check"](), timeout=HEALTH_CHECK_TIMEOUT)
+        except asyncio.TimeoutError:
+            result = {"status": "down", "message": f"No answer within {HEALTH_CHECK_TIMEOUT:g}s"}
+        except Exception as e:
+            result = {"status": "down", "message": str(e) or type(e).__name__}
+        if result.get("status") not in self.STATUSES:
+            result = {**result, "status": "down", "message": f"Check returned invalid status {result.get('status')!r}"}
+        return {
+            "name": name,
+            "label": entry["label"],
+            "critical": entry["critical"],
+            "latency_ms": (time.perf_counter() - started) * 1000,
+            **result,
+        }
+
+    async def run(self) -> Dict:
+        components = await asyncio.gather(*(self.run_check(name, entry) for name, entry in self.checks.items()))
+        if any(component["critical"] and component["status"] == "down" for component in components):
+            overall = "down"
+        elif any(component["status"] != "ok" for component in components):
+            overall = "degraded"
+        else:
+            overall = "ok"
+        return {
+            "status": overall,
+            "ready": overall != "down",
+            "uptime": time.time() - server_state.start_time,
+            "checked_at": iso_timestamp(time.time()),
+            "components": list(components),
+        }
+
+health_checks = HealthChecks()
+
+@health_checks.register("state_backend", label="Redis" if STATE_BACKEND == "redis" else "State Backend")
+async def check_state_backend():
+    backend = server_state.backend
+    if backend.name != "redis":
+        await backend.counters()
+        return {"status": "ok", "message": "In-process memory backend; state is not shared between workers"}
+    result = await backend.status()
+    if result["redis_status"] != "connected":
+        return {"status": "down", "message": "Redis did not answer a ping"}
+    return {"status": "ok", "message": f"Ping {result['redis_latency']:.1f}ms", "ping_ms": result["redis_latency"]}
+
+@health_checks.register("tavily_upstream", label="Tavily API", critical=False)
+async def check_tavily_upstream():
+    # Stub until the server calls Tavily; replace with a request to the real API
+    await asyncio.sleep(0)
+    return {"status": "ok", "message": "Stubbed check; no Tavily client is configured"}
+
+@health_checks.register("websocket_manager", label="WebSocket Manager")
+async def check_websocket_manager():
+    clients = len(manager.active_connections)
+    dashboards = len(dashboard_hub.subscribers)
+    return {
+        "status": "ok",
+        "message": f"{clients} client(s), {dashboards} dashboard subscriber(s)",
+        "clients": clients,
+        "dashboards": dashboards,
+    }
+
+@health_checks.register("disk", label="Disk", critical=False)
+async def check_disk():
+    usage = shutil.disk_usage(".")
+    free_percent = usage.free / usage.total * 100
+    return {
+        "status": "ok" if free_percent >= HEALTH_MIN_FREE_DISK_PERCENT else "degraded",
+        "message": f"{free_percent:.0f}% free ({usage.free // 2**20} MiB)",
+        "free_percent": free_percent,
+    }
+
+@health_checks.register("memory", label="Memory", critical=False)
+async def check_memory():
+    # /proc/meminfo is Linux-only; elsewhere report what we cannot see
+    try:
+        with open("/proc/meminfo") as meminfo:
+            fields = {line.split(":")[0]: int(line.split()[1]) for line in meminfo}
+    except OSError:
+        return {"status": "ok", "message": "Memory usage is not reported on this platform"}
+    available_percent = fields["MemAvailable"] / fields["MemTotal"] * 100
+    return {
+        "status": "ok" if available_percent >= HEALTH_MIN_AVAILABLE_MEMORY_PERCENT else "degraded",
+        "message": f"{available_percent:.0f}% available ({fields['MemAvailable'] // 1024} MiB)",
+        "available_percent": available_percent,
+    }
+
+@tool_registry.register(
+    name="echo",
+    description="Streams the given text back one word at a time",
+    input_schema={
+        "type": "object",
+        "properties": {
+            "text": {"type": "string", "description": "Text to echo back"},
+        },
+        "required": ["text"],
+    },
+)
+async def echo_tool(parameters: Dict):
+    # Each chunk is a word with the whitespace after it, so the chunks join back into the exact input
+    for chunk in re.findall(r"\s+|\S+\s*", str(parameters.get("text", ""))):
+        await asyncio.sleep(0.05)
+        yield chunk
+
+async def execute_tool(
+    client_id: str,
+    tool_name: str,
+    parameters: Dict,
+    call_id: str,
+    on_chunk: Optional[Callable[[str], Awaitable[None]]] = None,
+) -> Tuple[str, Optional[str], float]:
+    """
+    Run a registered tool for a client in a `tool <name>` span, recording its
+    statistics, log lines and timeline event. `on_chunk` receives each output
+    chunk as it streams. Returns the whole output, the error message if the
+    tool failed, and the duration in ms.
+    """
+    started = time.perf_counter()
+
+    def elapsed_ms() -> float:
+        return (time.perf_counter() - started) * 1000
+
+    tool = tool_registry.get(tool_name)
+    with tracer.span(f"tool {tool_name}", tool=tool_name, call_id=call_id) as span:
+        session = server_state.connections.get(client_id)
+        if session:
+            session.tool_counts[tool_name] += 1
+        await server_state.add_log(f"Tool call {tool_name} from {client_id}", logger_name="tools", client_id=client_id, tool=tool_name, request_id=call_id)
+        output = []
+        try:
+            with tracer.span("handler") as handler_span:
+                async for chunk in tool["handler"](parameters):
+                    if not output:
+                        span["attributes"]["first_chunk_ms"] = elapsed_ms()
+                    output.append(chunk)
+                    if on_chunk:
+                        await on_chunk(chunk)
+                handler_span["attributes"]["chunks"] = len(output)
+        except Exception as e:
+            duration_ms = elapsed_ms()
+            tracer.fail(span, e)
+            await server_state.record_tool_call(tool_name, duration_ms, error=str(e))
+            if session:
+                session.record("error", f"{tool_name} failed: {e}", tool=tool_name, call_id=call_id, duration_ms=duration_ms)
+            await server_state.add_log(f"Tool {tool_name} failed for {client_id}: {e}", level="ERROR", logger_name="tools", client_id=client_id, tool=tool_name, request_id=call_id)
+            return "".join(output), str(e), duration_ms
+        duration_ms = elapsed_ms()
+        await server_state.record_tool_call(tool_name, duration_ms)
+        if session:
+            session.record("tool_call", f"{tool_name} completed", tool=tool_name, call_id=call_id, duration_ms=duration_ms)
+        return "".join(output), None, duration_ms
+
+async def run_tool_call(client_id: str, call: ToolCallRequest):
+    """
+    Run a tool for a WebSocket client that sent a `tool_call` message, sending
+    each output chunk as a `tool_call_chunk` message followed by
+    `tool_call_result` or `tool_call_error`.
+    """
+    trace_id = current_trace_ids()["trace_id"]
+
+    async def send(message_type: str, **fields):
+        # Chunks only count towards traffic; the timeline gets the final outcome
+        await manager.send_personal_message(json.dumps({
+            "type": message_type,
+            "payload": {"call_id": call.call_id, "trace_id": trace_id, **fields},
+        }), client_id, on_timeline=message_type != "tool_call_chunk")
+
+    tool = tool_registry.get(call.tool_name)
+    if tool is None:
+        tracer.fail(current_span.get(), f"Unknown tool: {call.tool_name}")
+        await send("tool_call_error", error=f"Unknown tool: {call.tool_name}", duration_ms=0.0)
+        return
+    try:
+        validate_tool_arguments(tool, call.parameters)
+    except JsonRpcError as e:
+        tracer.fail(current_span.get(), e)
+        await server_state.count_websocket_error()
+        await send("tool_call_error", error=e.message, code=e.code, details=e.data, duration_ms=0.0)
+        return
+
+    output, error, duration_ms = await execute_tool(
+        client_id, call.tool_name, call.parameters, call.call_id,
+        on_chunk=lambda chunk: send("tool_call_chunk", content=chunk),
+    )
+    with tracer.span("send result"):
+        if error is None:
+            await send("tool_call_result", content=output, duration_ms=duration_ms)
+        else:
+            await send("tool_call_error", error=error, duration_ms=duration_ms)
+
+async def handle_client_message(client_id: str, session: ConnectionSession, message: ClientMessage):
+    """
+    Serve the dashboard's own message types, which predate MCP support. The
+    tool playground still streams through `tool_call`.
+    """
+    trace_id = current_trace_ids()["trace_id"]
+    if message.type == "user_message":
+        try:
+            user_message = UserMessage(**message.payload)
+        except ValidationError as e:
+            tracer.fail(current_span.get(), e)
+            session.record("error", f"Invalid user_message: {e}")
+            agent_response = AgentMessage(message_id=f"agent-{current_trace_ids()['span_id']}", content=str(e), is_error=True)
+        else:
+            # Process user message, interact with agent, etc.
+            # For now, just echo back as an agent message
+            agent_response = AgentMessage(
+                message_id=f"agent-{current_trace_ids()['span_id']}",
+                content=f"Echo: {user_message.content}",
+                tool_calls=[
+                    ToolCall(tool_name="echo", parameters={"text": user_message.content})
+                ]
+            )
+            # The canned reply runs no tool, so no tool counter moves; tool
+            # usage and statistics are recorded together in execute_tool
+        with tracer.span("agent echo"):
+            await manager.send_personal_message(json.dumps({
+                "type": "agent_message",
+                "payload": {**agent_response.dict(), "trace_id": trace_id},
+            }), client_id)
+    elif message.type == "tool_call":
+        try:
+            call = ToolCallRequest(**message.payload)
+        except ValidationError as e:
+            tracer.fail(current_span.get(), e)
+            await server_state.count_websocket_error()
+            session.record("error", f"Invalid tool_call: {e}")
+            await manager.send_personal_message(json.dumps({
+                "type": "tool_call_error",
+                "payload": {"call_id": message.payload.get("call_id"), "trace_id": trace_id, "error": str(e)},
+            }), client_id)
+            return
+        await run_tool_call(client_id, call)
+    elif message.type == "tool_output":
+        # Handle tool output
+        await server_state.add_log(f"Tool output from {client_id}: {message.payload}", logger_name="tools", client_id=client_id)
+
+# JSON-RPC 2.0 error codes, plus the one MCP servers use before `initialize`
+JSONRPC_PARSE_ERROR = -32700
+JSONRPC_INVALID_REQUEST = -32600
+JSONRPC_METHOD_NOT_FOUND = -32601
+JSONRPC_INVALID_PARAMS = -32602
+JSONRPC_INTERNAL_ERROR = -32603
+MCP_NOT_INITIALIZED = -32002
+
+class JsonRpcError(Exception):
+    def __init__(self, code: int, message: str, data: Any = None):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.data = data
+
+def jsonrpc_error(request_id, error: JsonRpcError) -> Dict:
+    body = {"code": error.code, "message": error.message}
+    if error.data is not None:
+        body["data"] = error.data
+    return {"jsonrpc": "2.0", "id": request_id, "error": body}
+
+# Sends a JSON-RPC notification to the client a request came from, if the transport can
+Notifier = Optional[Callable[[Dict], Awaitable[None]]]
+
+class McpDispatcher:
+    """
+    Model Context Protocol over JSON-RPC 2.0, shared by the WebSocket and
+    streamable HTTP transports. Method handlers take the client's session, the
+    request params and a notifier, and return the result; raising
+    JsonRpcError answers with an error object instead.
+    """
+    # Allowed before the client has initialized its session
+    PRE_INITIALIZE_METHODS = ("initialize", "ping")
+
+    def __init__(self):
+        self.methods: Dict[str, Callable] = {}
+        self.notifications: Dict[str, Callable] = {}
+
+    def register(self, method: str):
+        def decorator(handler):
+            self.methods[method] = handler
+            return handler
+        return decorator
+
+    def on_notification(self, method: str):
+        def decorator(handler):
+            self.notifications[method] = handler
+            return handler
+        return decorator
+
+    async def handle(self, raw: Any, session: ConnectionSession, notify: Notifier = None) -> Optional[Dict]:
+        """
+        Validate and run one inbound message. Returns the response to send, or
+        None for notifications and for responses to requests we never make.
+        """
+        if not isinstance(raw, dict):
+            return jsonrpc_error(None, JsonRpcError(JSONRPC_INVALID_REQUEST, "Expected a single JSON-RPC message object; batches are not supported"))
+        request_id = raw.get("id")
+        if not isinstance(request_id, (str, int)) or isinstance(request_id, bool):
+            request_id = None
+        if "method" not in raw and "id" in raw and ("result" in raw or "error" in raw):
+            return None
+        try:
+            request = JsonRpcRequest(**raw)
+        except ValidationError as e:
+            return jsonrpc_error(request_id, JsonRpcError(JSONRPC_INVALID_REQUEST, "Invalid JSON-RPC message", e.errors(include_url=False)))
+        if "id" in raw and request.id is None:
+            return jsonrpc_error(None, JsonRpcError(JSONRPC_INVALID_REQUEST, "Request id must be a string or number"))
+
+        if "id" not in raw:
+            handler = self.notifications.get(request.method)
+            if handler:
+                await handler(session, request.params)
+            return None
+
+        try:
+            handler = self.methods.get(request.method)
+            if handler is None:
+                raise JsonRpcError(JSONRPC_METHOD_NOT_FOUND, f"Method not found: {request.method}")
+            if session.protocol_version is None and request.method not in self.PRE_INITIALIZE_METHODS:
+                raise JsonRpcError(MCP_NOT_INITIALIZED, "Session not initialized; send initialize first")
+            result = await handler(session, request.params, notify)
+        except JsonRpcError as e:
+            tracer.fail(current_span.get(), e)
+            return jsonrpc_error(request.id, e)
+        except ValidationError as e:
+            tracer.fail(current_span.get(), e)
+            return jsonrpc_error(request.id, JsonRpcError(JSONRPC_INVALID_PARAMS, f"Invalid params for {request.method}", e.errors(include_url=False)))
+        except Exception as e:
+            tracer.fail(current_span.get(), e)
+            logger.error(f"MCP {request.method} failed for {session.client_id}: {e}")
+            return jsonrpc_error(request.id, JsonRpcError(JSONRPC_INTERNAL_ERROR, str(e)))
+        return {"jsonrpc": "2.0", "id": request.id, "result": result}
+
+mcp = McpDispatcher()
+
+@mcp.register("initialize")
+async def mcp_initialize(session: ConnectionSession, params: Dict, notify: Notifier) -> Dict:
+    if session.protocol_version is not None:
+        raise JsonRpcError(JSONRPC_INVALID_REQUEST, "Session already initialized")
+    init = InitializeParams(**params)
+    # An unsupported version gets our newest one; the client decides whether to go on
+    version = init.protocolVersion if init.protocolVersion in MCP_PROTOCOL_VERSIONS else MCP_PROTOCOL_VERSIONS[0]
+    session.protocol_version = version
+    session.client_info = init.clientInfo
+    session.client_capabilities = init.capabilities
+    client_name = init.clientInfo.get("name", "unknown client")
+    session.record("initialize", f"MCP {version} with {client_name} {init.clientInfo.get('version', '')}".strip())
+    await server_state.register_connection(session)
+    await server_state.add_log(f"MCP session {session.client_id} initialized: {client_name}, protocol {version}", logger_name="mcp", client_id=session.client_id)
+    await server_state.emit("connections", {
+        "action": "initialized",
+        "id": session.client_id,
+        "timestamp": time.time(),
+        "protocol_version": version,
+        "client_info": init.clientInfo,
+    })
+    return {
+        "protocolVersion": version,
+        "capabilities": {"tools": {"listChanged": False}},
+        "serverInfo": MCP_SERVER_INFO,
+    }
+
+@mcp.on_notification("notifications/initialized")
+async def mcp_initialized(session: ConnectionSession, params: Dict):
+    session.initialized = True
+    await server_state.register_connection(session)
+
+@mcp.on_notification("notifications/cancelled")
+async def mcp_cancelled(session: ConnectionSession, params: Dict):
+    # Calls run one at a time per connection, so a cancellation arrives after the call is done
+    await server_state.add_log(f"Client {session.client_id} cancelled request {params.get('requestId')}", level="DEBUG", logger_name="mcp", client_id=session.client_id)
+
+@mcp.register("ping")
+async def mcp_ping(session: ConnectionSession, params: Dict, notify: Notifier) -> Dict:
+    return {}
+
+@mcp.register("tools/list")
+async def mcp_list_tools(session: ConnectionSession, params: Dict, notify: Notifier) -> Dict:
+    return {
+        "tools": [
+            {"name": tool["name"], "description": tool["description"], "inputSchema": tool["input_schema"]}
+            for tool in tool_registry.tools.values()
+        ],
+    }
+
+@mcp.register("tools/call")
+async def mcp_call_tool(session: ConnectionSession, params: Dict, notify: Notifier) -> Dict:
+    """
+    Tool failures are results with `isError`, as MCP asks, so the model can see
+    them; unknown tools and arguments that do not match the tool's input
+    schema are protocol errors. With a
+    `progressToken` each output chunk is also sent as `notifications/progress`.
+    """
+    call = ToolCallParams(**params)
+    tool = tool_registry.get(call.name)
+    if tool is None:
+        raise JsonRpcError(JSONRPC_INVALID_PARAMS, f"Unknown tool: {call.name}")
+    validate_tool_arguments(tool, call.arguments)
+
+    progress_token = (call.meta or {}).get("progressToken")
+    chunks = 0
+
+    async def send_progress(chunk: str):
+        nonlocal chunks
+        chunks += 1
+        await notify({
+            "jsonrpc": "2.0",
+            "method": "notifications/progress",
+            "params": {"progressToken": progress_token, "progress": chunks, "message": chunk},
+        })
+
+    call_id = f"mcp-{current_trace_ids()['span_id']}"
+    output, error, duration_ms = await execute_tool(
+        session.client_id, call.name, call.arguments, call_id,
+        on_chunk=send_progress if progress_token is not None and notify else None,
+    )
+    return {
+        "content": [{"type": "text", "text": output if error is None else error}],
+        "isError": error is not None,
+    }
+
+def token_in(token: str, candidates: List[str]) -> bool:
+    return any(hmac.compare_digest(token, candidate) for candidate in candidates)
+
+def is_valid_token(token: Optional[str]) -> bool:
+    if not API_TOKENS:
+        return True
+    if not token:
+        return False
+    return token_in(token, API_TOKENS)
+
+def extract_token(headers, query_params) -> Optional[str]:
+    """
+    Read a credential from `Authorization: Bearer <token>`, the API key header,
+    or a `token` query parameter (browsers cannot set WebSocket headers).
+    """
+    authorization = headers.get("authorization", "")
+    if authorization.lower().startswith("bearer "):
+        return authorization[7:].strip()
+    return headers.get(API_KEY_HEADER) or query_params.get("token")
+
+async def verify_api_token(request: Request):
+    if not is_valid_token(extract_token(request.headers, request.query_params)):
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="Invalid or missing API token",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+
+async def verify_admin_token(request: Request) -> Dict:
+    """
+    Admin routes need a token from ADMIN_TOKENS. Returns who is acting for the
+    audit log: a short fingerprint of the token (never the token) and the caller address.
+    """
+    if not ADMIN_TOKENS:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="Admin actions are disabled; set ADMIN_TOKENS or API_TOKENS on the server",
+        )
+    token = extract_token(request.headers, request.query_params)
+    if not token:
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="Missing admin token",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+    if not token_in(token, ADMIN_TOKENS):
+        raise HTTPException(status_code=status.HTTP_403_FORBIDDEN, detail="This token cannot run admin actions")
+    return {
+        "actor": f"token:{hashlib.sha256(token.encode()).hexdigest()[:8]}",
+        "remote_address": request.client.host if request.client else None,
+    }
+
+# Every /api/* route is registered on this router so it inherits token checks
+api = APIRouter(prefix="/api", dependencies=[Depends(verify_api_token)])
+# Routes that change server state; each one is recorded in the audit log
+admin_api = APIRouter(prefix="/api/admin")
+
+class BroadcastRequest(BaseModel):
+    message: str = Field(..., min_length=1, max_length=2000)
+    level: Literal["info", "warning", "critical"] = "info"
+
 @app.get("/", response_class=HTMLResponse)
 async def read_root():
-    return FileResponse("index.html")
+    return FileResponse("index.html", headers={
+        "Content-Security-Policy": CONTENT_SECURITY_POLICY,
+        "X-Content-Type-Options": "nosniff",
+    })
+
+@app.get("/metrics", dependencies=[Depends(verify_api_token)])
+async def prometheus_metrics():
+    return Response(await render_openmetrics(), media_type=OPENMETRICS_CONTENT_TYPE)
 
 @app.get("/health")
-async def health_check():
+@app.get("/health/live")
+async def liveness_check():
+    """
+    Answers while the process is serving requests; says nothing about its dependencies.
+    """
     return {"status": "ok", "uptime": time.time() - server_state.start_time}
 
-@app.get("/api/metrics")
+@app.get("/health/ready")
+async def readiness_check():
+    """
+    Runs every component check. Answers 503 while a critical component is down
+    so load balancers stop routing here.
+    """
+    report = await health_checks.run()
+    return JSONResponse(report, status_code=200 if report["ready"] else status.HTTP_503_SERVICE_UNAVAILABLE)
+
+@api.get("/metrics")
 async def get_metrics():
-    return {
-        "total_requests": server_state.total_requests,
-        "active_connections": server_state.active_connections,
-        "tool_usage": server_state.tool_usage,
-        "uptime": time.time() - server_state.start_time,
-    }
+    return await server_state.snapshot_metrics()
 
-@app.get("/api/tools")
+@api.get("/tools")
 async def get_tools():
-    # This would ideally return a list of available tools dynamically
-    return {"tools": ["search", "tavily_search", "code_interpreter"]}
+    return {"tools": tool_registry.describe(await server_state.backend.tool_stats())}
 
-@app.get("/api/connections")
+@api.get("/connections")
 async def get_connections():
-    return {"connections": list(server_state.connections.keys())}
+    return {"connections": await server_state.list_connections()}
+
+@api.get("/connections/{client_id}")
+async def get_connection(client_id: str):
+    session = server_state.get_session(client_id)
+    if session is not None:
+        return {"connection": session.to_dict(), "timeline": list(session.timeline)}
+    # Timelines stay with the worker that holds the socket
+    info = (await server_state.backend.open_connections()).get(client_id)
+    if info is None:
+        raise HTTPException(status_code=404, detail=f"Unknown connection: {client_id}")
+    return {"connection": remote_connection_dict(client_id, info), "timeline": []}
+
+@admin_api.post("/connections/{client_id}/disconnect")
+async def disconnect_connection(client_id: str, admin: Dict = Depends(verify_admin_token)):
+    reason = "Disconnected by an operator"
+    session = server_state.connections.get(client_id)
+    if client_id in manager.active_connections:
+        await server_state.add_log(f"Disconnecting {client_id} on admin request", level="WARNING", logger_name="admin", client_id=client_id)
+        await manager.close(client_id, reason)
+    elif session and session.transport == "http":
+        await server_state.add_log(f"Ending MCP session {client_id} on admin request", level="WARNING", logger_name="admin", client_id=client_id)
+        session.close_reason = reason
+        await server_state.untrack_connection(client_id)
+    elif client_id in await server_state.backend.open_connections():
+        await server_state.add_log(f"Asking other workers to disconnect {client_id}", level="WARNING", logger_name="admin", client_id=client_id)
+        await server_state.backend.publish("control", {"action": "disconnect", "origin": WORKER_ID, "client_id": client_id, "reason": reason})
+    else:
+        audit_log.record(admin, "disconnect", client_id, outcome="not_found")
+        raise HTTPException(status_code=404, detail=f"No open connection: {client_id}")
+    audit_log.record(admin, "disconnect", client_id)
+    return {"id": client_id, "status": "disconnecting"}
+
+@admin_api.post("/broadcast")
+async def broadcast_notice(notice: BroadcastRequest, admin: Dict = Depends(verify_admin_token)):
+    data = json.dumps({
+        "type": "notice",
+        "payload": {"message": notice.message, "level": notice.level, "timestamp": time.time()},
+    })
+    delivered = await manager.broadcast(data)
+    # Other workers deliver to their own clients; the count includes this worker
+    other_workers = max(await server_state.backend.publish("control", {"action": "broadcast", "origin": WORKER_ID, "data": data}) - 1, 0)
+    await server_state.add_log(f"Broadcast {notice.level} notice to {delivered} client(s) and {other_workers} other worker(s): {notice.message}", level="WARNING", logger_name="admin")
+    audit_log.record(admin, "broadcast", details={"message": notice.message, "level": notice.level, "delivered": delivered, "other_workers": other_workers})
+    return {"delivered": delivered, "other_workers": other_workers}
+
+@admin_api.post("/reset-counters")
+async def reset_counters(admin: Dict = Depends(verify_admin_token)):
+    await server_state.reset_counters()
+    await server_state.add_log("Request and tool counters reset", level="WARNING", logger_name="admin")
+    audit_log.record(admin, "reset_counters")
+    return {"status": "reset"}
 
-@app.get("/api/logs")
-async def get_logs():
-    return {"logs": server_state.logs}
+@admin_api.delete("/logs")
+async def clear_logs(admin: Dict = Depends(verify_admin_token)):
+    cleared = await server_state.clear_logs()
+    audit_log.record(admin, "clear_logs", details={"cleared": cleared})
+    await server_state.add_log(f"Server logs cleared ({cleared} records)", level="WARNING", logger_name="admin")
+    return {"cleared": cleared}
+
+@admin_api.get("/audit")
+async def get_audit_log(
+    limit: int = Query(100, ge=1, le=AUDIT_LOG_SIZE),
+    admin: Dict = Depends(verify_admin_token),
+):
+    return {"entries": audit_log.recent(limit)}
+
+@api.get("/logs")
+async def get_logs(
+    since: Optional[int] = Query(None, description="Return records with id greater than this cursor"),
+    before: Optional[int] = Query(None, description="Return records with id less than this (paging backwards)"),
+    level: Optional[str] = Query(None, description="Comma-separated levels, e.g. WARNING,ERROR"),
+    q: Optional[str] = Query(None, description="Case-insensitive substring match"),
+    limit: int = Query(200, ge=1, le=1000),
+):
+    levels = [item.strip().upper() for item in level.split(",") if item.strip()] if level else None
+    if levels and any(item not in LOG_LEVELS for item in levels):
+        raise HTTPException(status_code=422, detail=f"level must be among {', '.join(LOG_LEVELS)}")
+    return await server_state.query_logs(since=since, before=before, levels=levels, q=q, limit=limit)
+
+@api.get("/traces")
+async def get_traces(
+    client_id: Optional[str] = Query(None, description="Only traces started by this connection"),
+    limit: int = Query(50, ge=1, le=TRACES_KEPT),
+):
+    """
+    Recent traces held by this worker, newest first, with their overall timings.
+    """
+    return {"traces": tracer.recent(limit, client_id=client_id)}
+
+@api.get("/traces/{trace_id}")
+async def get_trace(trace_id: str):
+    trace = tracer.get(trace_id)
+    if trace is None:
+        raise HTTPException(status_code=404, detail=f"Unknown trace: {trace_id}")
+    return trace
+
+async def dashboard_endpoint(websocket: WebSocket, client_id: str):
+    await dashboard_hub.connect(websocket, client_id)
+    try:
+        while True:
+            try:
+                message = json.loads(await websocket.receive_text())
+            except json.JSONDecodeError:
+                continue
+            # Anything but a subscribe with an object payload and a topic list is ignored
+            if not isinstance(message, dict) or message.get("type") != "subscribe":
+                continue
+            payload = message.get("payload")
+            topics = payload.get("topics") if isinstance(payload, dict) else None
+            if isinstance(topics, list):
+                dashboard_hub.set_topics(client_id, [topic for topic in topics if isinstance(topic, str)])
+    except WebSocketDisconnect:
+        dashboard_hub.disconnect(client_id)
+    except Exception as e:
+        dashboard_hub.disconnect(client_id)
+        logger.error(f"Dashboard WebSocket error for {client_id}: {e}")
+
+def describe_message(message: Any) -> str:
+    """Name of an inbound message for spans: its MCP method or legacy type."""
+    if isinstance(message, dict):
+        return str(message.get("method") or message.get("type") or "invalid")
+    return "invalid"
+
+async def reply_with_error(client_id: str, session: ConnectionSession, response: Dict):
+    await server_state.count_websocket_error()
+    session.record("error", f"JSON-RPC error {response['error']['code']}: {response['error']['message']}")
+    await manager.send_personal_message(json.dumps(response), client_id)
+
+async def expire_http_sessions():
+    cutoff = time.time() - MCP_SESSION_TTL
+    for client_id, session in list(server_state.connections.items()):
+        if session.transport == "http" and session.last_seen < cutoff:
+            session.close_reason = "Session expired"
+            await server_state.untrack_connection(client_id)
+
+def mcp_http_error(status_code: int, error: JsonRpcError) -> JSONResponse:
+    return JSONResponse(jsonrpc_error(None, error), status_code=status_code)
+
+@app.post("/mcp", dependencies=[Depends(verify_api_token)])
+async def mcp_http(request: Request):
+    """
+    Streamable HTTP transport: one JSON-RPC message per POST, answered with a
+    JSON body (202 with no body for notifications). `initialize` opens a
+    session whose id comes back in the Mcp-Session-Id header and must be sent
+    with every later request, on any worker: a worker that has not seen the
+    session yet takes it over from the connection registry.
+    """
+    await server_state.count_request()
+    await expire_http_sessions()
+    data = await request.body()
+    try:
+        message = json.loads(data)
+    except ValueError as e:
+        return mcp_http_error(status.HTTP_400_BAD_REQUEST, JsonRpcError(JSONRPC_PARSE_ERROR, f"Parse error: {e}"))
+    version = request.headers.get("mcp-protocol-version")
+    if version and version not in MCP_PROTOCOL_VERSIONS:
+        return mcp_http_error(status.HTTP_400_BAD_REQUEST, JsonRpcError(JSONRPC_INVALID_REQUEST, f"Unsupported MCP-Protocol-Version: {version}"))
+
+    initializing = isinstance(message, dict) and message.get("method") == "initialize"
+    if initializing:
+        session_id = f"http-{secrets.token_hex(8)}"
+        session = await server_state.track_connection(session_id, request, transport="http")
+    else:
+        session_id = request.headers.get("mcp-session-id")
+        if not session_id:
+            return mcp_http_error(status.HTTP_400_BAD_REQUEST, JsonRpcError(JSONRPC_INVALID_REQUEST, "Missing Mcp-Session-Id header; send initialize first"))
+        session = server_state.connections.get(session_id) or await server_state.adopt_http_session(session_id, request)
+        if session is None or session.transport != "http":
+            # Tells the client to start over with a new initialize
+            return mcp_http_error(status.HTTP_404_NOT_FOUND, JsonRpcError(JSONRPC_INVALID_REQUEST, f"Unknown or expired session: {session_id}"))
+        # Requests may alternate between workers; the latest one owns the session and its expiry
+        await server_state.register_connection(session)
+
+    session.last_seen = time.time()
+    with tracer.span(f"http {describe_message(message)}", client_id=session_id):
+        session.record_received(data.decode(errors="replace"))
+        await server_state.add_log(f"Received from {session_id}: {data.decode(errors='replace')}", level="DEBUG", logger_name="mcp", client_id=session_id)
+        response = await mcp.handle(message, session)
+        if response is None:
+            return Response(status_code=status.HTTP_202_ACCEPTED)
+        body = json.dumps(response)
+        session.record_sent(body)
+        if "error" in response:
+            session.record("error", f"JSON-RPC error {response['error']['code']}: {response['error']['message']}")
+
+    if initializing and "error" in response:
+        session.close_reason = "Initialization failed"
+        await server_state.untrack_connection(session_id)
+        return Response(body, media_type="application/json")
+    return Response(body, media_type="application/json", headers={"Mcp-Session-Id": session_id})
+
+@app.get("/mcp", dependencies=[Depends(verify_api_token)])
+async def mcp_http_stream():
+    # The server never starts requests of its own, so there is no stream to offer
+    return JSONResponse({"detail": "This server does not open server-to-client streams"}, status_code=status.HTTP_405_METHOD_NOT_ALLOWED, headers={"Allow": "POST, DELETE"})
+
+@app.delete("/mcp", dependencies=[Depends(verify_api_token)])
+async def mcp_http_end_session(request: Request):
+    session_id = request.headers.get("mcp-session-id")
+    session = (server_state.connections.get(session_id) or await server_state.adopt_http_session(session_id, request)) if session_id else None
+    if session is None or session.transport != "http":
+        raise HTTPException(status_code=404, detail=f"Unknown or expired session: {session_id}")
+    session.close_reason = "Session ended by the client"
+    # Claim it first, or a session last served by another worker would survive the delete
+    await server_state.register_connection(session)
+    await server_state.untrack_connection(session_id)
+    return Response(status_code=status.HTTP_204_NO_CONTENT)
 
 @app.websocket("/ws/{client_id}")
 async def websocket_endpoint(websocket: WebSocket, client_id: str):
-    await manager.connect(websocket, client_id)
+    if not is_valid_token(extract_token(websocket.headers, websocket.query_params)):
+        await server_state.add_log(f"Rejected unauthenticated WebSocket: {client_id}", level="WARNING", logger_name="auth", client_id=client_id)
+        await websocket.close(code=status.WS_1008_POLICY_VIOLATION)
+        return
+
+    if websocket.query_params.get("role") == "dashboard":
+        await dashboard_endpoint(websocket, client_id)
+        return
+
+    session = await manager.connect(websocket, client_id)
     try:
         while True:
             data = await websocket.receive_text()
-            server_state.total_requests += 1
-            server_state.add_log(f"Received from {client_id}: {data}")
-
-            message = json.loads(data)
-            if message["type"] == "user_message":
-                user_message = UserMessage(**message["payload"])
-                # Process user message, interact with agent, etc.
-                # For now, just echo back as an agent message
-                agent_response = AgentMessage(
-                    message_id=f"agent-{time.time()}",
-                    content=f"Echo: {user_message.content}",
-                    tool_calls=[
-                        ToolCall(tool_name="echo", parameters={"text": user_message.content})
-                    ]
-                )
-                server_state.increment_tool_usage("echo")
-                await manager.send_personal_message(json.dumps({
-                    "type": "agent_message",
-                    "payload": agent_response.dict()
-                }), client_id)
-            elif message["type"] == "tool_output":
-                # Handle tool output
-                server_state.add_log(f"Tool output from {client_id}: {message['payload']}")
-                pass
+            await server_state.count_request()
+            try:
+                message = json.loads(data)
+            except ValueError as e:
+                session.record_received(data)
+                await reply_with_error(client_id, session, jsonrpc_error(None, JsonRpcError(JSONRPC_PARSE_ERROR, f"Parse error: {e}")))
+                continue
+
+            # Each message starts a trace, or continues one whose id the client echoed back
+            trace_id = message.get("trace_id") if isinstance(message, dict) else None
+            with tracer.span(f"ws {describe_message(message)}", client_id=client_id, trace_id=trace_id) as span:
+                session.record_received(data)
+                await server_state.add_log(f"Received from {client_id}: {data}", level="DEBUG", logger_name="websocket", client_id=client_id)
+                if isinstance(message, dict) and "type" in message and "jsonrpc" not in message:
+                    try:
+                        client_message = ClientMessage(**message)
+                    except ValidationError as e:
+                        tracer.fail(span, e)
+                        await reply_with_error(client_id, session, jsonrpc_error(None, JsonRpcError(JSONRPC_INVALID_REQUEST, f"Invalid message: {e}")))
+                        continue
+                    await handle_client_message(client_id, session, client_message)
+                    continue
+
+                response = await mcp.handle(message, session, notify=lambda notification: manager.send_personal_message(
+                    json.dumps(notification), client_id, on_timeline=False,
+                ))
+                if response is not None and "error" in response:
+                    await reply_with_error(client_id, session, response)
+                elif response is not None:
+                    await manager.send_personal_message(json.dumps(response), client_id)
 
     except WebSocketDisconnect:
-        manager.disconnect(client_id)
+        await manager.disconnect(client_id)
     except Exception as e:
-        server_state.add_log(f"WebSocket error for {client_id}: {e}")
+        await server_state.add_log(f"WebSocket error for {client_id}: {e}", level="ERROR", logger_name="websocket", client_id=client_id)
         logger.error(f"WebSocket error for {client_id}: {e}")
+        await server_state.count_websocket_error()
+        session.record("error", f"WebSocket error: {e}")
+        await manager.disconnect(client_id)
+
+app.include_router(api)
+app.include_router(admin_api)
 
 if __name__ == "__main__":
     import uvicorn
@@ -0,0 +1,304 @@
+"""
+State backend tests. The Redis backend runs against fakeredis unless
+TEST_REDIS_URL points at a real server, e.g.
+
+    TEST_REDIS_URL=redis://localhost:6379/15 pytest tests
+
+Every test uses its own key prefix and removes its keys afterwards.
+"""
+import asyncio
+import os
+import secrets
+import sys
+
+import pytest
+import redis.exceptions
+
+sys.path.insert(0, os.path.join(os.path.dirname(__file__), ".."))
+
+import mcp_tavily_server as server  # noqa: E402
+
+TEST_REDIS_URL = os.environ.get("TEST_REDIS_URL")
+
+class RedisWorkers:
+    """Creates RedisStateBackends that share one Redis, each acting as a separate worker."""
+    def __init__(self):
+        self.prefix = f"test:{secrets.token_hex(4)}:"
+        self.backends = []
+        if not TEST_REDIS_URL:
+            import fakeredis
+            self.fake_server = fakeredis.FakeServer()
+
+    def client(self):
+        if TEST_REDIS_URL:
+            import redis.asyncio as redis
+            return redis.from_url(TEST_REDIS_URL)
+        import fakeredis
+        return fakeredis.FakeAsyncRedis(server=self.fake_server)
+
+    async def start(self, worker_id: str = "worker-a", **options) -> server.RedisStateBackend:
+        backend = server.RedisStateBackend(self.client(), prefix=self.prefix, worker_id=worker_id, **options)
+        await backend.start()
+        self.backends.append(backend)
+        return backend
+
+    async def stop(self, backend: server.RedisStateBackend):
+        self.backends.remove(backend)
+        await backend.stop()
+
+    async def close(self):
+        for backend in self.backends:
+            await backend.stop()
+        cleanup = self.client()
+        keys = [key async for key in cleanup.scan_iter(f"{self.prefix}*")]
+        if keys:
+            await cleanup.delete(*keys)
+        await cleanup.aclose()
+
+def run_backends(test):
+    """Run `test(start)` against both backends; `start(worker_id)` returns a started backend."""
+    async def with_memory():
+        backends = {}
+        async def start(worker_id: str = "worker-a", **options):
+            # One process only ever sees itself
+            backends.setdefault("memory", server.MemoryStateBackend(**options))
+            return backends["memory"]
+        await test(start)
+
+    async def with_redis():
+        workers = RedisWorkers()
+        try:
+            await test(workers.start)
+        finally:
+            await workers.close()
+
+    asyncio.run(with_memory())
+    asyncio.run(with_redis())
+
+def run_redis(test):
+    """Run `test(workers)` against Redis only."""
+    async def main():
+        workers = RedisWorkers()
+        try:
+            await test(workers)
+        finally:
+            await workers.close()
+    asyncio.run(main())
+
+def test_counters_and_tool_usage():
+    async def test(start):
+        backend = await start()
+        await backend.increment("total_requests")
+        await backend.increment("total_requests", 2)
+        await backend.record_tool_call("tavily_search", 120.0)
+        assert await backend.counters() == {"total_requests": 3}
+        assert await backend.tool_usage() == {"tavily_search": 1}
+
+        await backend.reset_counters()
+        assert await backend.counters() == {}
+        assert await backend.tool_usage() == {}
+        assert await backend.tool_stats() == {}
+    run_backends(test)
+
+def test_tool_stats():
+    async def test(start):
+        backend = await start()
+        await backend.record_tool_call("echo", 40.0)
+        await backend.record_tool_call("echo", 300.0)
+        await backend.record_tool_call("echo", 20000.0, error="timed out")
+
+        stats = (await backend.tool_stats())["echo"].to_dict()
+        assert (stats["call_count"], stats["success_count"], stats["failure_count"]) == (3, 2, 1)
+        assert stats["success_rate"] == 66.7
+        assert stats["avg_response_time"] == pytest.approx(20340.0 / 3)
+        counts = {bucket["le_ms"]: bucket["count"] for bucket in stats["latency_histogram"]}
+        assert (counts[50], counts[500], counts[None]) == (1, 1, 1)
+        assert stats["last_error"] == "timed out"
+        assert stats["last_error_at"] == stats["last_called_at"]
+        assert await backend.tool_usage() == {"echo": 3}
+    run_backends(test)
+
+def test_logs_get_increasing_ids_and_stay_capped():
+    async def test(start):
+        backend = await start(log_size=3)
+        for n in range(5):
+            entry = await backend.append_log({"message": f"line {n}"})
+            assert entry["id"] == n + 1
+        assert [entry["message"] for entry in await backend.read_logs()] == ["line 2", "line 3", "line 4"]
+        assert await backend.latest_log_id() == 5
+
+        assert await backend.clear_logs() == 3
+        assert await backend.read_logs() == []
+        # Ids keep counting so log cursors held by dashboards stay valid
+        assert (await backend.append_log({"message": "after clear"}))["id"] == 6
+    run_backends(test)
+
+def test_connection_registry():
+    async def test(start):
+        backend = await start()
+        await backend.register_connection("client-1", {"worker": "worker-a", "transport": "websocket"})
+        await backend.register_connection("client-2", {"worker": "worker-a", "transport": "http"})
+        await backend.unregister_connection("client-2")
+        assert await backend.open_connections() == {"client-1": {"worker": "worker-a", "transport": "websocket"}}
+    run_backends(test)
+
+def test_publish_reaches_subscribers():
+    async def test(start):
+        publisher = await start("worker-a")
+        subscriber = await start("worker-b")
+        received = asyncio.Queue()
+
+        async def handler(message):
+            await received.put(message)
+
+        await subscriber.subscribe("events", handler)
+        await asyncio.sleep(0.05)
+        assert await publisher.publish("events", {"topic": "logs"}) == 1
+        assert await asyncio.wait_for(received.get(), 1) == {"topic": "logs"}
+    run_backends(test)
+
+def test_redis_state_is_shared_between_workers():
+    async def test(workers):
+        first = await workers.start("worker-a")
+        second = await workers.start("worker-b")
+        await first.increment("total_requests")
+        await second.increment("total_requests")
+        await first.append_log({"message": "from a"})
+        await second.append_log({"message": "from b"})
+        await second.register_connection("client-b", {"worker": "worker-b"})
+
+        assert await first.counters() == {"total_requests": 2}
+        assert [entry["id"] for entry in await first.read_logs()] == [1, 2]
+        assert list(await first.open_connections()) == ["client-b"]
+    run_redis(test)
+
+def test_tool_stats_are_shared_and_reset_for_every_worker():
+    async def test(workers):
+        first = await workers.start("worker-a")
+        second = await workers.start("worker-b")
+        await first.record_tool_call("echo", 10.0)
+        await second.record_tool_call("echo", 30.0, error="boom")
+
+        for backend in (first, second):
+            stats = (await backend.tool_stats())["echo"]
+            assert (stats.call_count, stats.success_count, stats.failure_count) == (2, 1, 1)
+            assert stats.total_latency_ms == 40.0
+
+        # An admin reset reaches a single worker; the others read the same keys
+        await second.reset_counters()
+        assert await first.tool_stats() == {}
+        assert await first.tool_usage() == {}
+    run_redis(test)
+
+def test_tool_stats_survive_a_restart():
+    async def test(workers):
+        before = await workers.start("worker-a")
+        await before.record_tool_call("echo", 10.0)
+        await workers.stop(before)
+
+        after = await workers.start("worker-a")
+        assert (await after.tool_stats())["echo"].call_count == 1
+    run_redis(test)
+
+def test_a_taken_over_connection_stays_registered():
+    async def test(workers):
+        first = await workers.start("worker-a")
+        second = await workers.start("worker-b")
+        await first.register_connection("http-1", {"worker": "worker-a", "transport": "http"})
+        # The next request for the session went to the other worker
+        await second.register_connection("http-1", {"worker": "worker-b", "transport": "http"})
+
+        assert await first.unregister_connection("http-1") is False
+        assert list(await second.open_connections()) == ["http-1"]
+        assert await second.unregister_connection("http-1") is True
+        assert await first.open_connections() == {}
+    run_redis(test)
+
+def test_stopping_a_worker_removes_its_connections():
+    async def test(workers):
+        first = await workers.start("worker-a")
+        second = await workers.start("worker-b")
+        await first.register_connection("client-a", {"worker": "worker-a"})
+        await second.register_connection("client-b", {"worker": "worker-b"})
+
+        await workers.stop(first)
+        assert list(await second.open_connections()) == ["client-b"]
+    run_redis(test)
+
+def test_connections_of_a_worker_without_heartbeat_are_pruned():
+    async def test(workers):
+        live = await workers.start("worker-a")
+        crashed = await workers.start("worker-b")
+        await live.register_connection("client-a", {"worker": "worker-a"})
+        await crashed.register_connection("client-b", {"worker": "worker-b"})
+
+        # A crashed worker stops beating and its heartbeat key expires
+        crashed._heartbeat.cancel()
+        await live.client.delete(live.key("workers:worker-b"))
+
+        assert list(await live.open_connections()) == ["client-a"]
+        assert await live.client.hkeys(live.key("connections")) in ([b"client-a"], ["client-a"])
+    run_redis(test)
+
+def test_heartbeat_expires_and_a_lapsed_worker_restores_its_entries():
+    async def test(workers):
+        other = await workers.start("worker-a")
+        lapsed = await workers.start("worker-b", heartbeat_interval=60, heartbeat_ttl=1)
+        await lapsed.register_connection("client-b", {"worker": "worker-b"})
+        assert await other.client.ttl(other.key("workers:worker-b")) == 1
+
+        await asyncio.sleep(1.2)
+        assert await other.open_connections() == {}
+
+        # The next beat finds its heartbeat gone and registers its connections again
+        await lapsed.beat()
+        assert list(await other.open_connections()) == ["client-b"]
+    run_redis(test)
+
+def test_pubsub_listener_reconnects_after_a_disconnect(monkeypatch):
+    monkeypatch.setattr(server, "PUBSUB_RECONNECT_BASE_DELAY", 0.05)
+
+    async def test(workers):
+        publisher = await workers.start("worker-a")
+        subscriber = await workers.start("worker-b")
+        received = asyncio.Queue()
+
+        async def handler(message):
+            await received.put(message)
+
+        # Drop the subscriber's pub/sub connection once, as a Redis restart would
+        dropped = subscriber._pubsub
+        parse_response = dropped.parse_response
+        reads = 0
+
+        async def flaky_parse_response(*args, **kwargs):
+            nonlocal reads
+            reads += 1
+            if reads == 2:
+                raise redis.exceptions.ConnectionError("Connection closed by server")
+            return await parse_response(*args, **kwargs)
+
+        dropped.parse_response = flaky_parse_response
+        await subscriber.subscribe("control", handler)
+
+        for _ in range(40):
+            if subscriber._pubsub is not dropped:
+                break
+            await asyncio.sleep(0.05)
+        assert subscriber._pubsub is not dropped
+        await asyncio.sleep(0.05)
+
+        await publisher.publish("control", {"action": "broadcast"})
+        assert await asyncio.wait_for(received.get(), 1) == {"action": "broadcast"}
+    run_redis(test)
+
+def test_redis_status_reports_ping_latency():
+    async def test(workers):
+        backend = await workers.start()
+        status = await backend.status()
+        assert status["redis_status"] == "connected"
+        assert status["redis_latency"] >= 0
+    run_redis(test)
+
+if __name__ == "__main__":
+    sys.exit(pytest.main([__file__]))